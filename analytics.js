@@ -0,0 +1,201 @@
+// ============================================================
+// ANALYTICS.JS — Local Event Bus
+// track() checks an event against ANALYTICS_EVENTS and hands it
+// to every sink listed under config.json "analytics.sinks"
+// (console, a localStorage ring buffer, or a beacon to an
+// endpoint). Nothing leaves the browser unless a beacon sink is
+// configured. ?stats opens a dashboard over the local buffer.
+// ============================================================
+
+// Event name → its props and their types; anything else is dropped with a warning
+const ANALYTICS_EVENTS = {
+    section_view:   { section: 'string' },
+    video_open:     { section: 'string', video: 'string', player: 'string', orientation: 'string' },
+    video_dwell:    { section: 'string', video: 'string', seconds: 'number' },
+    outbound_click: { url: 'string', section: 'string' },
+    form_submit:    { form: 'string', transport: 'string', ok: 'boolean' }
+};
+
+const ANALYTICS_SINKS = {};
+const DEFAULT_ANALYTICS_SINKS = [{ type: 'localStorage' }];
+const ANALYTICS_BUFFER_KEY = 'analyticsEvents';
+const ANALYTICS_BUFFER_SIZE = 500;
+const STATS_PARAM = 'stats';
+
+let analyticsSinks = [];
+
+// create: (options) => { send(event) } — options is the config.json sink entry
+function registerAnalyticsSink(type, create) {
+    ANALYTICS_SINKS[type] = create;
+}
+
+function readAnalyticsBuffer() {
+    try {
+        return JSON.parse(localStorage.getItem(ANALYTICS_BUFFER_KEY) || '[]');
+    } catch (err) {
+        return [];
+    }
+}
+
+/* ===== BUILT-IN SINKS ===== */
+registerAnalyticsSink('console', () => ({
+    send: event => console.log(`[Analytics] ${event.name}`, event.props)
+}));
+
+// Keeps the newest `size` events; the ?stats dashboard reads them back
+registerAnalyticsSink('localStorage', (options) => ({
+    send(event) {
+        const events = readAnalyticsBuffer();
+        events.push(event);
+        try {
+            localStorage.setItem(ANALYTICS_BUFFER_KEY, JSON.stringify(events.slice(-(options.size || ANALYTICS_BUFFER_SIZE))));
+        } catch (err) {
+            // Private mode or full storage — the event is only lost locally
+        }
+    }
+}));
+
+// sendBeacon survives the page unloading, which is when video_dwell usually fires
+registerAnalyticsSink('beacon', (options) => {
+    if (!options.endpoint) throw new Error('no endpoint configured');
+    return {
+        send(event) {
+            const body = JSON.stringify(event);
+            if (navigator.sendBeacon?.(options.endpoint, new Blob([body], { type: 'application/json' }))) return;
+            fetch(options.endpoint, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body, keepalive: true })
+                .catch(() => {});
+        }
+    };
+});
+
+function initAnalytics(config) {
+    const entries = config?.analytics?.sinks || DEFAULT_ANALYTICS_SINKS;
+    analyticsSinks = entries
+        .filter(entry => ANALYTICS_SINKS[entry.type])
+        .flatMap(entry => {
+            try {
+                return [{ type: entry.type, ...ANALYTICS_SINKS[entry.type](entry) }];
+            } catch (err) {
+                console.warn(`[Analytics] ${entry.type} sink disabled:`, err.message);
+                return [];
+            }
+        });
+    initOutboundTracking();
+    if (new URLSearchParams(location.search).has(STATS_PARAM)) showStatsDashboard();
+}
+
+// track('video_open', { section: 'ugc', video: '1mcL…', orientation: 'vertical' })
+function track(name, props = {}) {
+    const fields = ANALYTICS_EVENTS[name];
+    if (!fields) {
+        console.warn(`[Analytics] Unknown event "${name}"`);
+        return;
+    }
+    const checked = {};
+    Object.entries(props).forEach(([key, value]) => {
+        if (value === undefined || value === '') return;
+        if (typeof value === fields[key]) checked[key] = value;
+        else console.warn(`[Analytics] ${name}.${key} should be ${fields[key] ? `a ${fields[key]}` : 'left out'}`);
+    });
+    const event = { name, at: new Date().toISOString(), props: checked };
+    analyticsSinks.forEach(sink => {
+        try {
+            sink.send(event);
+        } catch (err) {
+            console.warn(`[Analytics] ${sink.type} sink failed:`, err.message);
+        }
+    });
+}
+
+// Links off the site, whichever section they sit in
+function initOutboundTracking() {
+    document.addEventListener('click', (e) => {
+        const link = e.target.closest('a[href]');
+        if (!link || !/^https?:$/.test(link.protocol) || link.origin === location.origin) return;
+        track('outbound_click', { url: link.href, section: link.closest('.section-panel')?.dataset.section });
+    }, true);
+}
+
+/* ===== ?stats DASHBOARD ===== */
+// { key → { count, seconds } }, most counted first
+function tallyEvents(events, name, keyOf) {
+    const tally = {};
+    events.filter(event => event.name === name).forEach(event => {
+        const key = keyOf(event.props);
+        if (!key) return;
+        tally[key] = tally[key] || { count: 0, seconds: 0 };
+        tally[key].count++;
+        tally[key].seconds += event.props.seconds || 0;
+    });
+    return Object.entries(tally).sort((a, b) => b[1].count - a[1].count);
+}
+
+// The title of a video still on the page, else its id
+function videoLabel(key) {
+    const [section, id] = key.split('/');
+    const card = findVideoCard(id, section);
+    const title = card?.querySelector('.card-title, h4')?.textContent.trim();
+    return title ? `${title} (${section})` : key;
+}
+
+function statsTable(caption, rows, withSeconds = false) {
+    return html`
+        <table class="stats-table">
+            <caption>${caption}</caption>
+            ${rows.length ? rows.map(([label, { count, seconds }]) => html`
+                <tr><td>${label}</td><td>${count}</td>${withSeconds ? html`<td>${t('analytics.seconds', { seconds: Math.round(seconds) })}</td>` : ''}</tr>`)
+            : html`<tr><td class="stats-empty">${t('analytics.none')}</td></tr>`}
+        </table>`;
+}
+
+function statsDashboardMarkup(events) {
+    const videoKey = props => props.video && `${props.section || ''}/${props.video}`;
+    const opens = tallyEvents(events, 'video_open', videoKey);
+    const dwell = Object.fromEntries(tallyEvents(events, 'video_dwell', videoKey));
+    const videos = opens.map(([key, stat]) => [videoLabel(key), { count: stat.count, seconds: dwell[key]?.seconds || 0 }]);
+    const forms = tallyEvents(events, 'form_submit', props => `${props.form || 'message'} · ${props.transport} · ${t(props.ok ? 'analytics.sent' : 'analytics.failed')}`);
+    return html`
+        <p class="stats-summary">${t('analytics.summary', { count: events.length, since: events[0] ? new Date(events[0].at).toLocaleDateString(currentLocale) : '—' })}</p>
+        ${statsTable(t('analytics.videos'), videos, true)}
+        ${statsTable(t('analytics.sections'), tallyEvents(events, 'section_view', props => props.section))}
+        ${statsTable(t('analytics.outbound'), tallyEvents(events, 'outbound_click', props => props.url))}
+        ${statsTable(t('analytics.forms'), forms)}`;
+}
+
+function showStatsDashboard() {
+    const panel = document.createElement('aside');
+    panel.className = 'stats-dashboard';
+    panel.setAttribute('aria-label', t('analytics.title'));
+    document.body.appendChild(panel);
+
+    const render = () => {
+        const events = readAnalyticsBuffer();
+        panel.innerHTML = html`
+            <div class="stats-dashboard-header">
+                <span>${t('analytics.title')}</span>
+                <span>
+                    <button type="button" data-action="download" title="${t('analytics.download')}"><i class="fas fa-download"></i></button>
+                    <button type="button" data-action="clear" title="${t('analytics.clear')}"><i class="fas fa-trash"></i></button>
+                    <button type="button" data-action="close" aria-label="${t('analytics.close')}">×</button>
+                </span>
+            </div>
+            <div class="stats-dashboard-body">${statsDashboardMarkup(events)}</div>`;
+    };
+
+    panel.addEventListener('click', (e) => {
+        const action = e.target.closest('[data-action]')?.dataset.action;
+        if (action === 'download') {
+            downloadTextFile('analytics-events.json', JSON.stringify(readAnalyticsBuffer(), null, 2), 'application/json');
+        } else if (action === 'clear' && window.confirm(t('analytics.confirmClear'))) {
+            localStorage.removeItem(ANALYTICS_BUFFER_KEY);
+            render();
+        } else if (action === 'close') {
+            panel.remove();
+        }
+    });
+    // Other tabs of the site keep adding to the buffer
+    window.addEventListener('storage', (e) => {
+        if (e.key === ANALYTICS_BUFFER_KEY && panel.isConnected) render();
+    });
+    render();
+}
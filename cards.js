@@ -0,0 +1,338 @@
+// ============================================================
+// CARDS.JS — Card Renderer Registry
+// One renderer per item `type` (youtube, drive, vimeo, mp4, hls,
+// tiktok, instagram, link, image, testimonial). Each supplies thumbnail, overlay,
+// metadata and click behaviour, so any section can mix types.
+// Items without a `type` are inferred from their fields.
+// ============================================================
+
+const CARD_RENDERERS = {};
+
+// renderer: {
+//   shell:     'video' | 'featured' | (item) => either
+//   ready:     (item) => false when the item lacks what the card needs (it is skipped)
+//   thumbnail: (item, ctx) => html inside .thumb-wrap
+//   overlay:   (item) => Font Awesome icon for the hover overlay ('' for none)
+//   meta:      (item, ctx) => html under the title (featured shell only)
+//   data:      (item) => extra data-* attributes as { camelCaseKey: value }
+//   action:    (item, ctx) => { videoSrc, orientation, player, poster, captions }
+//                             opens the modal (player 'mp4' | 'hls' = <video>, else iframe),
+//                             { href } opens externally
+// }
+function registerCardRenderer(type, renderer) {
+    CARD_RENDERERS[type] = {
+        shell: 'featured',
+        ready: () => true,
+        overlay: () => 'fa-play-circle',
+        meta: () => '',
+        data: () => ({}),
+        action: () => ({}),
+        ...renderer
+    };
+}
+
+function inferCardType(item) {
+    if (typeof item === 'string') return item.trim() ? 'drive' : null;
+    if (!item || typeof item !== 'object') return null;
+    if (item.type && CARD_RENDERERS[item.type]) return item.type;
+    if (item.youtube) return 'youtube';
+    if (item.vimeo) return 'vimeo';
+    if (item.src) return /\.m3u8(\?|$)/i.test(item.src) ? 'hls' : 'mp4';
+    if (item.id || item.fileId) return 'drive';
+    if (item.quote) return 'testimonial';
+    if (item.image) return 'image';
+    if (item.url) {
+        if (extractYouTubeId(item.url)) return 'youtube';
+        if (extractVimeoId(item.url)) return 'vimeo';
+        if (item.url.includes('tiktok.com')) return 'tiktok';
+        if (item.url.includes('instagram.com')) return 'instagram';
+        return 'link';
+    }
+    return null;
+}
+
+// A typed item missing its media field (e.g. { "type": "youtube" }) renders nothing
+function isRenderableCard(item) {
+    const type = inferCardType(item);
+    if (!type) return false;
+    return typeof item === 'string' || CARD_RENDERERS[type].ready(item);
+}
+
+// ctx: { orientation, className, thumbSize } — supplied by the section renderer;
+// thumbSize is a thumbs.js size name (sm | md | lg | xl)
+function renderCard(item, ctx = {}) {
+    if (!isRenderableCard(item)) return '';
+    const renderer = CARD_RENDERERS[inferCardType(item)];
+    const card = typeof item === 'string' ? { id: item.trim() } : item;
+    const shell = typeof renderer.shell === 'function' ? renderer.shell(card) : renderer.shell;
+    const cardCtx = { orientation: 'horizontal', ...ctx, shell };
+    return shell === 'video'
+        ? renderVideoShell(card, renderer, cardCtx)
+        : renderFeaturedShell(card, renderer, cardCtx);
+}
+
+// Player details the modal reads back from the card
+function playerAttrs({ player, poster, captions }) {
+    return dataAttrs({
+        player,
+        poster: poster && safeUrl(poster, ''),
+        captions: captions?.length ? JSON.stringify(captions) : ''
+    });
+}
+
+function renderVideoShell(item, renderer, ctx) {
+    const title = item.title || '';
+    const action = renderer.action(item, ctx);
+    const classes = ['video-card', ctx.orientation, ctx.className].filter(Boolean).join(' ');
+    return html`
+        <div class="${classes}"${dataAttrs(renderer.data(item))} data-video-src="${safeUrl(action.videoSrc)}" data-orientation="${action.orientation || ctx.orientation}"${playerAttrs(action)}>
+            <div class="thumb-wrap">
+                ${renderer.thumbnail(item, ctx)}
+                <div class="play-overlay"><i class="fas ${renderer.overlay(item)}"></i></div>
+            </div>
+            ${title ? html`<div class="card-title">${title}</div>` : ''}
+        </div>`;
+}
+
+function renderFeaturedShell(item, renderer, ctx) {
+    const action = renderer.action(item, ctx);
+    const { videoSrc, orientation, href } = action;
+    const overlay = renderer.overlay(item);
+    const attrs = dataAttrs(renderer.data(item));
+    const inner = html`
+            <div class="thumb-wrap">
+                ${renderer.thumbnail(item, ctx)}
+                ${overlay ? html`<div class="play-overlay"><i class="fas ${overlay}"></i></div>` : ''}
+            </div>
+            <div class="card-info">
+                ${item.title ? html`<h4>${item.title}</h4>` : ''}
+                ${renderer.meta(item, ctx)}
+            </div>`;
+
+    if (videoSrc) {
+        return html`
+        <div class="featured-card"${attrs} data-video-src="${safeUrl(videoSrc)}" data-orientation="${orientation || 'horizontal'}"${playerAttrs(action)} style="cursor:pointer">${inner}
+        </div>`;
+    }
+    if (href) {
+        return html`
+        <a href="${safeUrl(href)}" target="_blank" rel="noopener" class="featured-card"${attrs}>${inner}
+        </a>`;
+    }
+    return html`
+        <div class="featured-card"${attrs}>${inner}
+        </div>`;
+}
+
+/* ===== SHARED HELPERS ===== */
+function extractYouTubeId(url) {
+    let m = url.match(/(?:youtube\.com\/(?:watch\?v=|shorts\/)|youtu\.be\/)([a-zA-Z0-9_-]{11})/);
+    return m ? m[1] : null;
+}
+
+function extractVimeoId(url) {
+    const m = url.match(/vimeo\.com\/(?:video\/)?(\d+)/);
+    return m ? m[1] : null;
+}
+
+function extractInstagramShortcode(url) {
+    const m = url.match(/instagram\.com\/(?:[\w.]+\/)?(?:p|reel|reels|tv)\/([A-Za-z0-9_-]+)/);
+    return m ? m[1] : null;
+}
+
+function extractTikTokId(url) {
+    const m = url.match(/tiktok\.com\/@[^/]+\/video\/(\d+)/);
+    return m ? m[1] : null;
+}
+
+function getPlatformIcon(url) {
+    if (url.includes('youtube.com') || url.includes('youtu.be')) return 'fa-brands fa-youtube';
+    if (url.includes('tiktok.com')) return 'fa-brands fa-tiktok';
+    if (url.includes('instagram.com')) return 'fa-brands fa-instagram';
+    return 'fa-solid fa-play';
+}
+
+function getPlatformLabel(url) {
+    if (url.includes('youtube.com') || url.includes('youtu.be')) return 'YouTube';
+    if (url.includes('tiktok.com')) return 'TikTok';
+    if (url.includes('instagram.com')) return 'Instagram';
+    return t('cards.watch');
+}
+
+// One badge per platform stat, e.g. [TikTok icon] 12.7M views
+function statBadge(stat) {
+    const icon = STAT_PLATFORMS[stat.platform]?.icon || 'fas fa-chart-line';
+    const metric = t(`stats.${stat.metric}`);
+    return html`<span class="stat-badge stat-${stat.platform}" title="${statPlatformLabel(stat.platform)} ${metric}"><i class="${icon}"></i> ${formatCount(stat.count)}${stat.approx ? '+' : ''} ${metric}</span>`;
+}
+
+// Stat badges when the item has stats, otherwise the platform name
+function platformMeta(item) {
+    const stats = normalizeStats(item.stats);
+    if (stats.length) return html`<div class="stats stat-badges">${stats.map(statBadge)}</div>`;
+    if (typeof item.stats === 'string' && item.stats.trim()) {
+        return html`<div class="stats"><i class="fas fa-eye"></i> ${item.stats}</div>`;
+    }
+    return html`<div class="stats"><i class="${getPlatformIcon(item.url)}"></i> ${getPlatformLabel(item.url)}</div>`;
+}
+
+function iconPlaceholder(icon) {
+    return html`<div class="thumb-placeholder"><i class="${icon}"></i></div>`;
+}
+
+/* ===== SOCIAL MANIFEST ===== */
+// Instagram/TikTok thumbnails saved at build time by tools/build-social-manifest.js
+// (Instagram oEmbed is CORS-blocked, TikTok's signed thumbnail URLs expire)
+const SOCIAL_MANIFEST_URL = 'thumbs/social-manifest.json';
+let socialManifest = { instagram: {}, tiktok: {} };
+
+// Resolves even when the manifest is missing — cards keep their icon placeholders
+function loadSocialManifest() {
+    return fetch(SOCIAL_MANIFEST_URL)
+        .then(r => (r.ok ? r.json() : {}))
+        .catch(() => ({}))
+        .then(manifest => {
+            socialManifest = { instagram: {}, tiktok: {}, ...manifest };
+        });
+}
+
+function socialManifestEntry(url) {
+    if (!url) return null;
+    const shortcode = extractInstagramShortcode(url);
+    if (shortcode) return socialManifest.instagram[shortcode] || null;
+    const tiktokId = extractTikTokId(url);
+    return tiktokId ? socialManifest.tiktok[tiktokId] || null : null;
+}
+
+// External posts have no thumbnail provider — an explicit `thumb` or `image`,
+// else whatever the social manifest saved for the post
+function externalThumb(item, fallbackIcon) {
+    const thumb = item.thumb || item.image || socialManifestEntry(item.url)?.thumb;
+    const sources = thumbnailSources(null, null, { thumb });
+    return sources.length
+        ? thumbImage(sources, { alt: item.title || '', placeholder: 'fa-image' })
+        : iconPlaceholder(fallbackIcon);
+}
+
+// A string is the file; an array lists one track per language
+function normalizeCaptions(captions) {
+    if (!captions) return [];
+    return (Array.isArray(captions) ? captions : [{ src: captions }])
+        .map(track => ({ ...track, src: safeUrl(track.src, '') }))
+        .filter(track => track.src);
+}
+
+/* ===== BUILT-IN RENDERERS ===== */
+registerCardRenderer('drive', {
+    shell: 'video',
+    ready: item => Boolean(String(item.id || item.fileId || '').trim()),
+    thumbnail: (item, ctx) => thumbImage(
+        thumbnailSources('drive', item.id || item.fileId, { size: ctx.thumbSize, thumb: item.thumb }),
+        { alt: item.title || '', className: item.thumbContain ? 'thumb logo-thumb' : 'thumb' }
+    ),
+    data: item => ({ id: item.id || item.fileId }),
+    action: (item, ctx) => ({
+        videoSrc: `https://drive.google.com/file/d/${encodeURIComponent(item.id || item.fileId)}/preview`,
+        orientation: ctx.orientation
+    })
+});
+
+registerCardRenderer('youtube', {
+    // Bare ids ({ youtube }) are uploads shown as video tiles; links ({ url }) are featured posts
+    shell: item => (item.url ? 'featured' : 'video'),
+    ready: item => Boolean(item.youtube || (item.url && extractYouTubeId(item.url))),
+    thumbnail(item, ctx) {
+        const video = ctx.shell === 'video';
+        const size = ctx.thumbSize || (video ? 'lg' : 'md');
+        return thumbImage(
+            thumbnailSources('youtube', item.youtube || extractYouTubeId(item.url), { size, thumb: item.thumb }),
+            { alt: item.title || '', className: video ? 'thumb' : '' }
+        );
+    },
+    meta: platformMeta,
+    data: item => ({ ytId: item.youtube || extractYouTubeId(item.url) }),
+    action(item, ctx) {
+        const id = encodeURIComponent(item.youtube || extractYouTubeId(item.url));
+        const isShort = item.url ? /\/shorts\//.test(item.url) : ctx.orientation === 'vertical';
+        return {
+            videoSrc: `https://www.youtube.com/embed/${id}?autoplay=1&playsinline=1&rel=0`,
+            orientation: isShort ? 'vertical' : 'horizontal'
+        };
+    }
+});
+
+registerCardRenderer('vimeo', {
+    shell: 'video',
+    ready: item => Boolean(item.vimeo || (item.url && extractVimeoId(item.url))),
+    thumbnail: (item, ctx) => externalThumb(item, 'fa-brands fa-vimeo-v'),
+    data: item => ({ vimeoId: item.vimeo || extractVimeoId(item.url) }),
+    action: (item, ctx) => ({
+        videoSrc: `https://player.vimeo.com/video/${encodeURIComponent(item.vimeo || extractVimeoId(item.url))}?autoplay=1&playsinline=1`,
+        orientation: item.orientation || ctx.orientation
+    })
+});
+
+// Self-hosted files: mp4 (any progressive format the browser plays) and hls (.m3u8)
+['mp4', 'hls'].forEach(type => registerCardRenderer(type, {
+    shell: 'video',
+    ready: item => typeof item.src === 'string' && Boolean(item.src.trim()),
+    thumbnail: item => externalThumb({ ...item, thumb: item.thumb || item.poster }, 'fas fa-film'),
+    data: item => ({ mediaId: item.src.split(/[?#]/)[0].split('/').pop().replace(/\.[^.]+$/, '') }),
+    action: (item, ctx) => ({
+        videoSrc: item.src,
+        orientation: item.orientation || ctx.orientation,
+        player: type,
+        poster: item.poster || item.thumb,
+        captions: normalizeCaptions(item.captions)
+    })
+}));
+
+registerCardRenderer('tiktok', {
+    ready: item => Boolean(item.url),
+    thumbnail: item => externalThumb(item, getPlatformIcon(item.url)),
+    overlay: () => 'fa-external-link-alt',
+    meta: platformMeta,
+    data: item => ({ tiktokUrl: safeUrl(item.url) }),
+    action: item => ({ href: item.url })
+});
+
+registerCardRenderer('instagram', {
+    ready: item => Boolean(item.url),
+    thumbnail: item => externalThumb(item, getPlatformIcon(item.url)),
+    overlay: () => 'fa-external-link-alt',
+    meta: platformMeta,
+    data: item => ({ instagramUrl: safeUrl(item.url) }),
+    action: item => ({ href: item.url })
+});
+
+registerCardRenderer('link', {
+    ready: item => Boolean(item.url),
+    thumbnail: item => externalThumb(item, getPlatformIcon(item.url)),
+    overlay: () => 'fa-external-link-alt',
+    meta: platformMeta,
+    action: item => ({ href: item.url })
+});
+
+registerCardRenderer('image', {
+    ready: item => Boolean(item.image || item.url),
+    thumbnail: item => externalThumb(item, 'fas fa-image'),
+    overlay: () => 'fa-search-plus',
+    meta: item => (item.caption ? html`<div class="stats"><i class="fas fa-image"></i> ${item.caption}</div>` : ''),
+    action: item => ({ href: item.url || item.image })
+});
+
+registerCardRenderer('testimonial', {
+    ready: item => Boolean(item.quote),
+    thumbnail: item => html`
+                <blockquote class="testimonial-quote">
+                    <i class="fas fa-quote-left"></i>
+                    <p>${item.quote}</p>
+                </blockquote>`,
+    overlay: item => (item.url ? 'fa-external-link-alt' : ''),
+    meta: item => html`<div class="stats"><i class="fas fa-user"></i> ${item.author || ''}${item.role ? html` &middot; ${item.role}` : ''}</div>`,
+    action: item => (item.url ? { href: item.url } : {})
+});
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { extractYouTubeId, extractVimeoId, extractInstagramShortcode, extractTikTokId };
+}
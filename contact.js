@@ -0,0 +1,442 @@
+// ============================================================
+// CONTACT.JS — Contact Form Submission
+// Transports are listed under config.json "contact.transports";
+// the first one sends, the rest are offered if it fails
+// (post → JSON endpoint, mailto → site.email, eml → download).
+// Fields are validated inline; honeypot, time-on-form and an
+// hourly localStorage throttle keep bots away from the transport.
+// "contact.inquiry" adds a project-brief mode with a JSON export
+// ============================================================
+
+const CONTACT_TRANSPORTS = {};
+
+// transport: {
+//   label:   button text when offered as an alternative (locales key or text)
+//   success: status line once send() resolves (locales key or text)
+//   send:    (payload, options, config) => Promise — reject to show the error state
+// }
+function registerContactTransport(type, transport) {
+    CONTACT_TRANSPORTS[type] = { label: type, success: 'contact.success', ...transport };
+}
+
+const DEFAULT_CONTACT_TRANSPORTS = [{ type: 'mailto' }, { type: 'eml' }];
+
+function getContactTransports(config) {
+    const entries = config?.contact?.transports || DEFAULT_CONTACT_TRANSPORTS;
+    return entries
+        .filter(entry => CONTACT_TRANSPORTS[entry.type])
+        .map(entry => {
+            const transport = CONTACT_TRANSPORTS[entry.type];
+            return { ...transport, label: t(transport.label), success: t(transport.success), type: entry.type, options: entry };
+        });
+}
+
+function contactSubject(payload, options) {
+    if (options.subject) return options.subject;
+    const from = payload.name || payload.email;
+    return payload.brief
+        ? `Project inquiry${payload.brief.project.type ? ` (${payload.brief.project.type})` : ''} from ${from}`
+        : `Portfolio inquiry from ${from}`;
+}
+
+function downloadTextFile(filename, text, mimeType = 'text/plain') {
+    const url = URL.createObjectURL(new Blob([text], { type: mimeType }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+/* ===== BUILT-IN TRANSPORTS ===== */
+registerContactTransport('post', {
+    label: 'contact.transport.post',
+    async send(payload, options) {
+        if (!options.endpoint) throw new Error('no endpoint configured');
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), options.timeout || 10000);
+        try {
+            const res = await fetch(options.endpoint, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json', Accept: 'application/json' },
+                body: JSON.stringify(payload),
+                signal: controller.signal
+            });
+            if (!res.ok) throw new Error(`server replied ${res.status}`);
+        } catch (err) {
+            throw err.name === 'AbortError' ? new Error('request timed out') : err;
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+});
+
+registerContactTransport('mailto', {
+    label: 'contact.transport.mailto',
+    success: 'contact.success.mailto',
+    async send(payload, options, config) {
+        const to = options.to || config?.site?.email;
+        if (!to) throw new Error('no email address configured');
+        const body = `${payload.message}\n\n— ${payload.name} <${payload.email}>`;
+        window.location.href = `mailto:${encodeURIComponent(to)}`
+            + `?subject=${encodeURIComponent(contactSubject(payload, options))}`
+            + `&body=${encodeURIComponent(body)}`;
+    }
+});
+
+registerContactTransport('eml', {
+    label: 'contact.transport.eml',
+    success: 'contact.success.eml',
+    async send(payload, options, config) {
+        const to = options.to || config?.site?.email || '';
+        const eml = [
+            `To: ${to}`,
+            `Reply-To: ${payload.name} <${payload.email}>`,
+            `Subject: ${contactSubject(payload, options)}`,
+            `Date: ${new Date(payload.sentAt).toUTCString()}`,
+            'X-Unsent: 1',
+            'MIME-Version: 1.0',
+            'Content-Type: text/plain; charset=utf-8',
+            '',
+            payload.message
+        ].join('\r\n');
+        downloadTextFile('message.eml', eml, 'message/rfc822');
+    }
+});
+
+/* ===== VALIDATION ===== */
+// Keyed by field name; (value, field) => error message or ''
+const CONTACT_VALIDATORS = {
+    name: value => (value.trim() ? '' : t('contact.error.name')),
+    email(value) {
+        if (!value.trim()) return t('contact.error.emailMissing');
+        return SCHEMA_FORMATS.email.test(value.trim()) ? '' : t('contact.error.emailInvalid');
+    },
+    message(value, field) {
+        // Notes are optional on a project inquiry — the brief carries the detail
+        if (!value.trim() && field.form.dataset.mode === 'inquiry') return '';
+        if (value.trim().length < 10) return t('contact.error.messageShort');
+        return value.length > 5000 ? t('contact.error.messageLong') : '';
+    }
+};
+
+function showFieldError(field, message) {
+    let error = field.nextElementSibling?.classList.contains('field-error') ? field.nextElementSibling : null;
+    if (!message) {
+        field.removeAttribute('aria-invalid');
+        error?.remove();
+        return;
+    }
+    if (!error) {
+        error = document.createElement('div');
+        error.className = 'field-error';
+        error.id = `${field.form.id}-${field.name}-error`;
+        field.after(error);
+    }
+    error.innerHTML = html`<i class="fas fa-exclamation-circle"></i><span>${message}</span>`;
+    field.setAttribute('aria-invalid', 'true');
+    field.setAttribute('aria-describedby', error.id);
+}
+
+function validateContactField(field) {
+    const validator = CONTACT_VALIDATORS[field.name];
+    const message = validator ? validator(field.value, field) : '';
+    showFieldError(field, message);
+    return !message;
+}
+
+// Validates every field and focuses the first invalid one
+function validateContactForm(form) {
+    const invalid = Array.from(form.elements)
+        .filter(field => CONTACT_VALIDATORS[field.name] && !field.matches(':disabled'))
+        .filter(field => !validateContactField(field));
+    invalid[0]?.focus();
+    return invalid.length === 0;
+}
+
+/* ===== PROJECT INQUIRY ===== */
+// Fields available to config.json "contact.inquiry.fields"; an entry is
+// either the field name or { name, label, options, required } overrides.
+// Built-in labels and placeholders are locales keys
+const INQUIRY_FIELDS = {
+    projectType:  { label: 'inquiry.projectType', options: ['UGC', 'Directing', 'Producing', 'Social'], required: true },
+    budget:       { label: 'inquiry.budget', options: ['Under $1k', '$1k–$5k', '$5k–$15k', '$15k+'] },
+    deliverables: {
+        label: 'inquiry.deliverables', input: 'number', placeholder: 'inquiry.deliverablesPlaceholder',
+        validate: value => (Number.isInteger(Number(value)) && value >= 1 && value <= 500
+            ? '' : t('contact.error.deliverables'))
+    },
+    orientation:  { label: 'inquiry.orientation', options: ['Vertical', 'Horizontal', 'Both'] },
+    shootDate:    { label: 'inquiry.shootDate', input: 'date' },
+    deliveryDate: {
+        label: 'inquiry.deliveryDate', input: 'date',
+        validate(value, form) {
+            const shoot = form.elements.shootDate?.value;
+            return shoot && value < shoot ? t('contact.error.deliveryDate') : '';
+        }
+    }
+};
+
+Object.entries(INQUIRY_FIELDS).forEach(([name, def]) => {
+    CONTACT_VALIDATORS[name] = (value, field) => {
+        if (!value) return field.required ? t('contact.error.required', { field: field.dataset.label.toLowerCase() }) : '';
+        return def.validate ? def.validate(value, field.form) : '';
+    };
+});
+
+function getInquiryFields(config) {
+    return (config?.contact?.inquiry?.fields || [])
+        .map(entry => (typeof entry === 'string' ? { name: entry } : entry))
+        .filter(entry => INQUIRY_FIELDS[entry.name])
+        .map(entry => {
+            const def = INQUIRY_FIELDS[entry.name];
+            return { ...def, label: t(def.label), placeholder: def.placeholder && t(def.placeholder), ...entry };
+        });
+}
+
+function renderInquiryField(field) {
+    const attrs = html`name="${field.name}" data-label="${field.label}"${field.required ? html` required` : ''}`;
+    const control = field.options
+        ? html`<select ${attrs}>
+                <option value="">${t('inquiry.select')}</option>
+                ${field.options.map(option => html`<option>${option}</option>`)}
+            </select>`
+        : html`<input type="${field.input || 'text'}" ${attrs}${field.input === 'number' ? html` min="1" step="1"` : ''} placeholder="${field.placeholder || ''}">`;
+    return html`
+        <label class="inquiry-field">
+            <span>${field.label}${field.required ? ' *' : ''}</span>
+            ${control}
+        </label>`;
+}
+
+// Structured brief; fields that aren't configured or were left blank are omitted
+function buildInquiryBrief(data) {
+    const value = key => data[key] || undefined;
+    return {
+        kind: 'project-inquiry',
+        version: 1,
+        client: { name: data.name, email: data.email },
+        project: {
+            type: value('projectType'),
+            budget: value('budget'),
+            deliverables: data.deliverables ? Number(data.deliverables) : undefined,
+            orientation: value('orientation')
+        },
+        schedule: { shoot: value('shootDate'), delivery: value('deliveryDate') },
+        notes: data.message || '',
+        createdAt: new Date().toISOString()
+    };
+}
+
+function inquirySummary(data, fields) {
+    const lines = fields
+        .filter(field => data[field.name])
+        .map(field => `${field.label}: ${data[field.name]}`);
+    return [...lines, '', data.message || '(no notes)'].join('\n');
+}
+
+/* ===== SPAM GUARDS ===== */
+const CONTACT_HONEYPOT = 'website';
+const CONTACT_SENDS_KEY = 'contactSends';
+
+function getContactLimits(config) {
+    return { minSeconds: 3, maxPerHour: 3, ...config?.contact?.limits };
+}
+
+function recentContactSends() {
+    try {
+        const hourAgo = Date.now() - 3600000;
+        return JSON.parse(localStorage.getItem(CONTACT_SENDS_KEY) || '[]').filter(sentAt => sentAt > hourAgo);
+    } catch (err) {
+        return [];
+    }
+}
+
+function recordContactSend() {
+    try {
+        localStorage.setItem(CONTACT_SENDS_KEY, JSON.stringify([...recentContactSends(), Date.now()]));
+    } catch (err) {
+        // Private mode / storage full — the throttle just won't persist
+    }
+}
+
+// { drop } = looks automated, pretend it worked; { blocked } = tell the visitor.
+// startedAt is the first focus or keystroke in the form (null if there was none)
+function checkContactGuards(form, startedAt, limits) {
+    if (form.elements[CONTACT_HONEYPOT]?.value) return { drop: 'honeypot filled' };
+    if (startedAt === null || Date.now() - startedAt < limits.minSeconds * 1000) return { drop: 'submitted too fast' };
+    const sends = recentContactSends();
+    if (sends.length >= limits.maxPerHour) {
+        const minutes = Math.ceil((sends[0] + 3600000 - Date.now()) / 60000);
+        return { blocked: t('contact.blocked', { count: sends.length, minutes }) };
+    }
+    return {};
+}
+
+/* ===== FORM ===== */
+function readContactForm(form, inquiryFields = []) {
+    const data = Object.fromEntries(new FormData(form));
+    delete data[CONTACT_HONEYPOT];
+    const meta = { page: window.location.href, sentAt: new Date().toISOString() };
+    if (form.dataset.mode !== 'inquiry') return { ...data, ...meta };
+    // Transports that only carry text (mailto, eml) get the brief as a readable summary
+    return {
+        name: data.name,
+        email: data.email,
+        message: inquirySummary(data, inquiryFields),
+        brief: buildInquiryBrief(data),
+        ...meta
+    };
+}
+
+// Adds the Message / Project inquiry tabs and the configured brief fields
+function initInquiryMode(form, fields, btn) {
+    const message = form.elements.message;
+    const tabs = document.createElement('div');
+    tabs.className = 'form-mode';
+    tabs.setAttribute('role', 'tablist');
+    tabs.innerHTML = html`
+        <button type="button" role="tab" data-mode="message" aria-selected="true">${t('inquiry.tabMessage')}</button>
+        <button type="button" role="tab" data-mode="inquiry" aria-selected="false">${t('inquiry.tabInquiry')}</button>`;
+    form.prepend(tabs);
+
+    // A disabled fieldset keeps its controls out of FormData and validation
+    const fieldset = document.createElement('fieldset');
+    fieldset.className = 'inquiry-fields';
+    fieldset.innerHTML = html`${fields.map(renderInquiryField)}`;
+    message.before(fieldset);
+
+    const download = document.createElement('button');
+    download.type = 'button';
+    download.className = 'btn';
+    download.innerHTML = html`<i class="fas fa-file-download"></i> ${t('inquiry.downloadBrief')}`;
+    btn.after(download);
+
+    function setMode(mode) {
+        form.dataset.mode = mode;
+        const inquiry = mode === 'inquiry';
+        tabs.querySelectorAll('[data-mode]').forEach(tab => {
+            tab.setAttribute('aria-selected', String(tab.dataset.mode === mode));
+        });
+        fieldset.hidden = fieldset.disabled = download.hidden = !inquiry;
+        message.placeholder = t(inquiry ? 'inquiry.notes' : 'contact.yourMessage');
+        message.required = !inquiry;
+        btn.textContent = t(inquiry ? 'contact.sendInquiry' : 'contact.send');
+        showFieldError(message, '');
+    }
+
+    tabs.addEventListener('click', (e) => {
+        const tab = e.target.closest('[data-mode]');
+        if (tab) setMode(tab.dataset.mode);
+    });
+
+    download.addEventListener('click', () => {
+        if (!validateContactForm(form)) return;
+        const { brief } = readContactForm(form, fields);
+        const slug = (brief.client.name || 'client').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+        downloadTextFile(`brief-${slug}-${brief.createdAt.slice(0, 10)}.json`, JSON.stringify(brief, null, 2), 'application/json');
+    });
+
+    setMode('message');
+}
+
+function initContactForm(config) {
+    const form = document.getElementById('contactForm');
+    if (!form) return;
+    const btn = form.querySelector('button[type="submit"]');
+    const transports = getContactTransports(config);
+    const limits = getContactLimits(config);
+    const inquiryFields = getInquiryFields(config);
+    const idleLabel = () => t(form.dataset.mode === 'inquiry' ? 'contact.sendInquiry' : 'contact.send');
+
+    const status = document.createElement('div');
+    status.className = 'form-status';
+    status.setAttribute('role', 'status');
+    status.hidden = true;
+    form.appendChild(status);
+
+    // Timed from the first interaction, not page load: the form sits far down the page
+    let startedAt = null;
+    const startTimer = () => { startedAt = startedAt ?? Date.now(); };
+    form.addEventListener('focusin', startTimer);
+    form.addEventListener('input', startTimer);
+
+    function setStatus(state, message, actions = []) {
+        status.className = `form-status is-${state}`;
+        status.hidden = false;
+        status.innerHTML = html`
+            <span>${message}</span>
+            ${actions.length ? html`<div class="form-status-actions">${actions.map(a => html`
+                <button type="button" class="btn" data-transport="${a.index}">${a.label}</button>`)}
+            </div>` : ''}`;
+    }
+
+    function showSent(message) {
+        setStatus('success', message);
+        btn.textContent = t('contact.sent');
+        btn.style.background = 'linear-gradient(135deg, #43a047, #66bb6a)';
+        form.reset();
+        setTimeout(() => {
+            btn.textContent = idleLabel();
+            btn.style.background = '';
+        }, 3000);
+    }
+
+    async function attempt(index) {
+        const transport = transports[index];
+        if (!transport || !validateContactForm(form)) return;
+        const guard = checkContactGuards(form, startedAt, limits);
+        if (guard.drop) {
+            console.warn('[Contact] Dropped:', guard.drop);
+            showSent(transport.success);
+            return;
+        }
+        if (guard.blocked) {
+            setStatus('error', guard.blocked);
+            return;
+        }
+        // Re-read on retry so edits made after an error are sent
+        const payload = readContactForm(form, inquiryFields);
+        btn.disabled = true;
+        btn.textContent = t('contact.sending');
+        setStatus('sending', t('contact.sending'));
+        try {
+            await transport.send(payload, transport.options, config);
+            recordContactSend();
+            track('form_submit', { form: form.dataset.mode || 'message', transport: transport.type, ok: true });
+            showSent(transport.success);
+        } catch (err) {
+            console.error('[Contact]', transport.type, err);
+            track('form_submit', { form: form.dataset.mode || 'message', transport: transport.type, ok: false });
+            const actions = [{ index, label: t('contact.retry') }].concat(transports
+                .map((other, i) => ({ index: i, label: other.label }))
+                .filter(a => a.index !== index));
+            setStatus('error', t('contact.failed', { error: err.message }), actions);
+            btn.textContent = idleLabel();
+        } finally {
+            btn.disabled = false;
+        }
+    }
+
+    if (inquiryFields.length) initInquiryMode(form, inquiryFields, btn);
+
+    form.addEventListener('submit', (e) => {
+        e.preventDefault();
+        attempt(0);
+    });
+
+    // Check a field once the visitor leaves it, then re-check as they fix it
+    form.addEventListener('focusout', (e) => {
+        if (CONTACT_VALIDATORS[e.target.name] && e.target.value) validateContactField(e.target);
+    });
+    form.addEventListener('input', (e) => {
+        if (e.target.getAttribute('aria-invalid')) validateContactField(e.target);
+    });
+
+    status.addEventListener('click', (e) => {
+        const action = e.target.closest('[data-transport]');
+        if (action) attempt(Number(action.dataset.transport));
+    });
+}
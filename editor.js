@@ -0,0 +1,578 @@
+// ============================================================
+// EDITOR.JS — ?edit Content Editor
+// A side panel over the live page for adding, editing, deleting
+// and reordering what each section renders. Every change re-runs
+// that section's renderer (refreshSection in panels.js) and the
+// schema validator; the result downloads as config.json or as a
+// unified diff against the file the page loaded. Dragging UGC
+// cards in the preview writes the `order` normalizeUGCItems sorts by.
+// ============================================================
+
+const EDITOR_PARAM = 'edit';
+
+// Renderers that sort items by `order`, so reordering writes it instead of moving items
+const ORDERED_RENDERERS = ['videoGrid'];
+// Past this many LCS cells (~8 MB of Uint16Array) the changed middle is diffed as a plain replace
+const DIFF_MAX_CELLS = 4000000;
+
+function editorRequested() {
+    return new URLSearchParams(location.search).has(EDITOR_PARAM);
+}
+
+/* ===== CONFIG PATHS ===== */
+// Paths are key arrays (['videos', 'ugc', 'vertical', 3]); pathString()
+// gives the form validateConfig reports errors against
+function pathString(keys) {
+    return keys.reduce((path, key) => joinSchemaPath(path, key), '');
+}
+
+function getAtPath(config, keys) {
+    return keys.reduce((node, key) => (node == null ? undefined : node[key]), config);
+}
+
+function setAtPath(config, keys, value) {
+    const parent = getAtPath(config, keys.slice(0, -1));
+    const key = keys[keys.length - 1];
+    if (value !== undefined) parent[key] = value;
+    else if (Array.isArray(parent)) parent.splice(key, 1);
+    else delete parent[key];
+}
+
+// anyOf → the branch the value satisfies, else the one of its type
+function schemaBranch(schema, value) {
+    if (!schema?.anyOf) return schema;
+    return schema.anyOf.find(branch => validateConfig(value, branch).length === 0)
+        || schema.anyOf.find(branch => branch.type === schemaTypeOf(value))
+        || schema.anyOf[0];
+}
+
+// The schema for the value at keys; the last step keeps its anyOf (see isLocalizableSchema)
+function schemaAt(config, keys) {
+    let schema = CONFIG_SCHEMA;
+    let node = config;
+    keys.forEach(key => {
+        schema = schemaBranch(schema, node);
+        schema = typeof key === 'number' ? schema?.items : schema?.properties?.[key];
+        node = node?.[key];
+    });
+    return schema;
+}
+
+function isLocalizableSchema(schema) {
+    return Boolean(schema?.anyOf?.some(branch => branch.properties?.en));
+}
+
+/* ===== TARGETS ===== */
+// What the sections render, as lists of items and objects' own fields.
+// Each path appears once, under the first section that shows it
+// (so Contact's "site" leaves site.projects to Projects)
+function editorTargets(config) {
+    const targets = [];
+    const seen = new Set();
+    const add = (section, keys) => {
+        const path = pathString(keys);
+        const value = getAtPath(config, keys);
+        if (seen.has(path) || !value || typeof value !== 'object' || isLocalizedText(value)) return;
+        seen.add(path);
+        if (Array.isArray(value)) {
+            targets.push({ section, keys, kind: 'list' });
+            return;
+        }
+        targets.push({ section, keys, kind: 'fields' });
+        Object.keys(value).forEach(key => add(section, [...keys, key]));
+    };
+    (config.sections || []).forEach(section => {
+        [].concat(section.source || []).forEach(path => add(section, path.split('.')));
+    });
+    return targets;
+}
+
+function targetLabel(target) {
+    const name = localizeConfig(target.section.name, currentLocale);
+    const key = target.keys[target.keys.length - 1];
+    return [].concat(target.section.source).length > 1 || target.keys.length > 1 ? `${name} — ${key}` : name;
+}
+
+// Display positions → raw indexes; ordered lists sort the way normalizeUGCItems does
+function displayOrder(list, ordered) {
+    const indexes = list.map((_, i) => i);
+    if (!ordered) return indexes;
+    const orderOf = i => {
+        const order = Number(list[i]?.order);
+        return Number.isFinite(order) ? order : i;
+    };
+    return indexes.sort((a, b) => orderOf(a) - orderOf(b) || a - b);
+}
+
+// Writes each position as `order`; bare Drive ID strings become { id, order }
+function writeOrder(list, order) {
+    order.forEach((index, position) => {
+        const item = list[index];
+        list[index] = typeof item === 'string' ? { id: item, order: position } : { ...item, order: position };
+    });
+}
+
+// A blank item shaped like its siblings, or like the schema's required keys
+function newListItem(list, schema, ordered) {
+    const sibling = list[list.length - 1];
+    let item;
+    if (typeof sibling === 'string') {
+        item = '';
+    } else if (sibling && typeof sibling === 'object') {
+        item = {};
+        Object.entries(sibling).forEach(([key, value]) => {
+            if (key === 'order') return;
+            if (typeof value === 'string' || isLocalizedText(value)) item[key] = '';
+            else if (Array.isArray(value)) item[key] = [];
+            else if (typeof value === 'number' || typeof value === 'boolean') item[key] = value;
+        });
+    } else {
+        const branch = schema?.anyOf ? schema.anyOf.find(b => b.type === 'object') : schema;
+        item = branch?.type === 'object' ? Object.fromEntries((branch.required || []).map(key => [key, ''])) : '';
+    }
+    if (ordered && typeof item === 'object' && list.some(entry => entry?.order !== undefined)) {
+        item.order = Math.max(...list.map((entry, i) => (Number.isFinite(Number(entry?.order)) ? Number(entry.order) : i))) + 1;
+    }
+    return item;
+}
+
+function itemLabel(item, index) {
+    if (typeof item === 'string') return item || t('editor.untitled');
+    const text = value => localizeConfig(value, currentLocale);
+    const label = item.title || item.name || (item.role && `${text(item.role)} · ${item.show}`)
+        || item.id || item.fileId || item.youtube || item.url;
+    return label ? text(label) : `#${index + 1}`;
+}
+
+/* ===== UNIFIED DIFF ===== */
+function splitLines(text) {
+    const lines = text.split('\n');
+    const endsWithNewline = lines[lines.length - 1] === '';
+    if (endsWithNewline) lines.pop();
+    return { lines, endsWithNewline };
+}
+
+// [[' ' | '-' | '+', line]]; the LCS table only covers the changed middle,
+// and an edit too spread out for it comes back as remove-all, add-all
+function diffLines(a, b) {
+    let start = 0;
+    while (start < a.length && start < b.length && a[start] === b[start]) start++;
+    let endA = a.length;
+    let endB = b.length;
+    while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+        endA--;
+        endB--;
+    }
+    const x = a.slice(start, endA);
+    const y = b.slice(start, endB);
+    const context = lines => lines.map(line => [' ', line]);
+    if ((x.length + 1) * (y.length + 1) > DIFF_MAX_CELLS) {
+        return [...context(a.slice(0, start)), ...x.map(line => ['-', line]), ...y.map(line => ['+', line]), ...context(a.slice(endA))];
+    }
+    const lcs = Array.from({ length: x.length + 1 }, () => new Uint16Array(y.length + 1));
+    for (let i = x.length - 1; i >= 0; i--) {
+        for (let j = y.length - 1; j >= 0; j--) {
+            lcs[i][j] = x[i] === y[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+        }
+    }
+    const ops = context(a.slice(0, start));
+    let i = 0;
+    let j = 0;
+    while (i < x.length || j < y.length) {
+        if (i < x.length && j < y.length && x[i] === y[j]) {
+            ops.push([' ', x[i++]]);
+            j++;
+        } else if (i < x.length && (j === y.length || lcs[i + 1][j] >= lcs[i][j + 1])) {
+            ops.push(['-', x[i++]]);
+        } else {
+            ops.push(['+', y[j++]]);
+        }
+    }
+    return ops.concat(context(a.slice(endA)));
+}
+
+// `git apply`-able diff with 3 lines of context; '' when nothing changed
+function unifiedDiff(before, after, name, context = 3) {
+    if (before === after) return '';
+    const a = splitLines(before);
+    const b = splitLines(after);
+    let oldNo = 0;
+    let newNo = 0;
+    const rows = diffLines(a.lines, b.lines).map(([type, text]) => {
+        const row = { type, text, oldNo, newNo };
+        if (type !== '+') oldNo++;
+        if (type !== '-') newNo++;
+        return row;
+    });
+    const changed = rows.flatMap((row, i) => (row.type === ' ' ? [] : [i]));
+
+    const out = [`--- a/${name}`, `+++ b/${name}`];
+    let k = 0;
+    while (k < changed.length) {
+        const from = Math.max(0, changed[k] - context);
+        let last = changed[k];
+        while (k + 1 < changed.length && changed[k + 1] - last <= context * 2) last = changed[++k];
+        k++;
+        const hunk = rows.slice(from, Math.min(rows.length, last + context + 1));
+        const oldLen = hunk.filter(row => row.type !== '+').length;
+        const newLen = hunk.filter(row => row.type !== '-').length;
+        out.push(`@@ -${hunk[0].oldNo + (oldLen ? 1 : 0)},${oldLen} +${hunk[0].newNo + (newLen ? 1 : 0)},${newLen} @@`);
+        hunk.forEach(row => {
+            out.push(row.type + row.text);
+            const lastOld = row.type !== '+' && row.oldNo === a.lines.length - 1 && !a.endsWithNewline;
+            const lastNew = row.type === '+' && row.newNo === b.lines.length - 1 && !b.endsWithNewline;
+            if (lastOld || lastNew) out.push('\\ No newline at end of file');
+        });
+    }
+    return out.join('\n') + '\n';
+}
+
+/* ===== FIELDS ===== */
+function renderEditorField(keys, value, schema, required) {
+    const branch = schemaBranch(schema, value);
+    const type = branch?.type || schemaTypeOf(value);
+    let kind = type;
+    let control;
+    if (isLocalizableSchema(schema) || isLocalizedText(value)) {
+        kind = 'localized';
+        const text = isLocalizedText(value) ? value : { en: value ?? '' };
+        control = html`${LOCALES.map(code => html`
+            <label class="editor-locale"><span>${code}</span><input type="text" data-locale="${code}" value="${text[code] || ''}"></label>`)}`;
+    } else if (branch?.enum) {
+        kind = 'string';
+        control = html`<select data-input>${branch.enum.map(option => html`<option${option === value ? html` selected` : ''}>${option}</option>`)}</select>`;
+    } else if (type === 'boolean') {
+        control = html`<input type="checkbox" data-input${value ? html` checked` : ''}>`;
+    } else if (type === 'number') {
+        control = html`<input type="number" data-input value="${value ?? ''}">`;
+    } else if (type === 'string') {
+        control = String(value ?? '').length > 60
+            ? html`<textarea data-input rows="3">${value}</textarea>`
+            : html`<input type="text" data-input value="${value ?? ''}">`;
+    } else {
+        kind = 'json';
+        control = html`<textarea data-input rows="3" spellcheck="false">${JSON.stringify(value ?? null, null, 1)}</textarea>`;
+    }
+    const name = keys[keys.length - 1];
+    return html`
+        <div class="editor-field" data-path="${JSON.stringify(keys)}" data-kind="${kind}">
+            <div class="editor-field-label"><span>${typeof name === 'number' ? t('editor.value') : name}</span>${required ? '' : html`<button type="button" class="editor-icon" data-action="remove-field" title="${t('editor.removeField')}">×</button>`}</div>
+            ${control}
+            <div class="editor-field-error" hidden></div>
+        </div>`;
+}
+
+// Throws on unparseable JSON; an empty translation is dropped, and
+// text with only English left goes back to a plain string
+function readEditorField(field) {
+    const kind = field.dataset.kind;
+    if (kind === 'localized') {
+        const text = {};
+        field.querySelectorAll('[data-locale]').forEach(input => {
+            if (input.value) text[input.dataset.locale] = input.value;
+        });
+        const translated = LOCALES.filter(code => code !== 'en' && text[code]);
+        return translated.length ? Object.fromEntries(LOCALES.filter(code => code === 'en' || text[code]).map(code => [code, text[code] || ''])) : (text.en || '');
+    }
+    const input = field.querySelector('[data-input]');
+    if (kind === 'boolean') return input.checked;
+    if (kind === 'number') return input.value === '' ? '' : Number(input.value);
+    if (kind === 'json') return JSON.parse(input.value);
+    return input.value;
+}
+
+// Fields of one object (or the single field of a string item), plus an
+// "add field" picker; children that are targets of their own are left out
+function renderFieldGroup(config, keys, ownTargets = new Set()) {
+    const value = getAtPath(config, keys);
+    const schema = schemaAt(config, keys);
+    if (typeof value !== 'object' || value === null) return renderEditorField(keys, value, schema, true);
+
+    const branch = schemaBranch(schema, value);
+    const props = branch?.properties || {};
+    const required = branch?.required || [];
+    const fields = Object.keys(value)
+        .filter(key => !ownTargets.has(pathString([...keys, key])))
+        .map(key => renderEditorField([...keys, key], value[key], props[key], required.includes(key)));
+    const missing = Object.keys(props).filter(key => !(key in value));
+    return html`${fields}${missing.length ? html`
+        <select class="editor-add-field" data-path="${JSON.stringify(keys)}">
+            <option value="">${t('editor.addField')}</option>
+            ${missing.map(key => html`<option>${key}</option>`)}
+        </select>` : ''}`;
+}
+
+// A value to start a newly added field with, from its schema
+function emptyFieldValue(schema) {
+    const branch = schema?.anyOf ? schema.anyOf[0] : schema;
+    if (branch?.enum) return branch.enum[0];
+    return { number: 0, boolean: false, array: [], object: {} }[branch?.type] ?? '';
+}
+
+/* ===== PANEL ===== */
+function initEditor() {
+    if (!editorRequested()) return;
+
+    fetch('config.json', { cache: 'no-store' })
+        .then(r => (r.ok ? r.text() : Promise.reject(new Error(`HTTP ${r.status}`))))
+        .then(text => openEditor(text))
+        .catch(err => console.error('[Editor] config.json failed to load:', err));
+}
+
+function openEditor(originalText) {
+    const config = JSON.parse(originalText);
+    const targets = editorTargets(config);
+    const targetPaths = new Set(targets.map(entry => pathString(entry.keys)));
+    let target = targets[0];
+    const expanded = new Set();
+
+    const panel = document.createElement('aside');
+    panel.className = 'editor-panel';
+    panel.id = 'editorPanel';
+    panel.setAttribute('aria-label', t('editor.title'));
+    panel.innerHTML = html`
+        <div class="editor-titlebar"><span>${t('editor.title')}</span><span class="editor-dirty" hidden>${t('editor.unsaved')}</span></div>
+        <div class="editor-toolbar">
+            <select class="editor-target" aria-label="${t('editor.target')}">${targets.map((entry, i) => html`<option value="${i}">${targetLabel(entry)}</option>`)}</select>
+            <div class="editor-actions">
+                <button type="button" class="editor-btn" data-action="download"><i class="fas fa-download"></i> config.json</button>
+                <button type="button" class="editor-btn" data-action="diff"><i class="fas fa-code-compare"></i> ${t('editor.diff')}</button>
+                <button type="button" class="editor-btn" data-action="reset"><i class="fas fa-undo"></i> ${t('editor.reset')}</button>
+            </div>
+        </div>
+        <div class="editor-body"></div>
+        <div class="editor-status" role="status"></div>`;
+    document.body.appendChild(panel);
+    document.body.classList.add('edit-mode');
+    const body = panel.querySelector('.editor-body');
+    const status = panel.querySelector('.editor-status');
+
+    const isOrdered = entry => entry.kind === 'list' && ORDERED_RENDERERS.includes(entry.section.renderer);
+    const isDirty = () => serializeConfig(config) !== originalText;
+
+    function renderBody() {
+        if (target.kind === 'fields') {
+            body.innerHTML = html`<div class="editor-fields">${renderFieldGroup(config, target.keys, targetPaths)}</div>`;
+        } else {
+            const list = getAtPath(config, target.keys);
+            const order = displayOrder(list, isOrdered(target));
+            body.innerHTML = html`
+                ${isOrdered(target) ? html`<p class="editor-hint">${t('editor.dragHint')}</p>` : ''}
+                <ol class="editor-list">${order.map((index, position) => html`
+                    <li class="editor-item${expanded.has(index) ? ' open' : ''}" data-index="${index}" data-position="${position}">
+                        <div class="editor-item-head">
+                            <button type="button" class="editor-item-title" data-action="toggle" aria-expanded="${expanded.has(index)}">${itemLabel(list[index], index)}</button>
+                            <button type="button" class="editor-icon" data-action="up" title="${t('editor.moveUp')}"${position === 0 ? html` disabled` : ''}>↑</button>
+                            <button type="button" class="editor-icon" data-action="down" title="${t('editor.moveDown')}"${position === order.length - 1 ? html` disabled` : ''}>↓</button>
+                            <button type="button" class="editor-icon" data-action="delete" title="${t('editor.delete')}">×</button>
+                        </div>
+                        ${expanded.has(index) ? html`<div class="editor-fields">${renderFieldGroup(config, [...target.keys, index])}</div>` : ''}
+                    </li>`)}
+                </ol>
+                <button type="button" class="editor-btn" data-action="add"><i class="fas fa-plus"></i> ${t('editor.add')}</button>`;
+        }
+        showValidation();
+    }
+
+    // Inline errors from the schema validator, a count in the status bar
+    function showValidation() {
+        const errors = [...validateConfig(config), ...checkSectionSources(config)];
+        const under = (path) => errors.filter(e => e.path === path || e.path.startsWith(`${path}.`) || e.path.startsWith(`${path}[`));
+        body.querySelectorAll('.editor-field').forEach(field => {
+            const box = field.querySelector('.editor-field-error');
+            if (field.dataset.jsonError) return;
+            const own = under(pathString(JSON.parse(field.dataset.path)));
+            box.hidden = !own.length;
+            box.textContent = own.map(e => e.message).join('; ');
+        });
+        body.querySelectorAll('.editor-item').forEach(item => {
+            item.classList.toggle('has-error', under(pathString([...target.keys, Number(item.dataset.index)])).length > 0);
+        });
+        status.textContent = errors.length ? t('editor.problems', { count: errors.length }) : t('editor.valid');
+        status.classList.toggle('has-error', errors.length > 0);
+        panel.querySelector('.editor-dirty').hidden = !isDirty();
+    }
+
+    // Re-runs the renderers of every section showing the changed path
+    function refreshPreview(keys) {
+        const changed = pathString(keys);
+        const localized = localizeConfig(config, currentLocale);
+        getSections(localized).forEach(section => {
+            const touched = [].concat(section.source || []).some(path => changed.startsWith(path) || path.startsWith(changed));
+            if (!touched) return;
+            refreshSection(section, localized);
+            initSectionBehaviors(document.getElementById(section.id));
+        });
+        enableCardDragging(localized);
+    }
+
+    function changed(keys, { rerender = false } = {}) {
+        refreshPreview(keys);
+        if (rerender) renderBody();
+        else showValidation();
+    }
+
+    function move(position, delta) {
+        const list = getAtPath(config, target.keys);
+        const order = displayOrder(list, isOrdered(target));
+        const to = position + delta;
+        if (to < 0 || to >= order.length) return;
+        if (isOrdered(target)) {
+            [order[position], order[to]] = [order[to], order[position]];
+            writeOrder(list, order);
+        } else {
+            [list[position], list[to]] = [list[to], list[position]];
+            const [wasOpen, otherOpen] = [expanded.has(position), expanded.has(to)];
+            expanded.delete(position);
+            expanded.delete(to);
+            if (wasOpen) expanded.add(to);
+            if (otherOpen) expanded.add(position);
+        }
+        changed(target.keys, { rerender: true });
+    }
+
+    /* ---- Drag-reordering UGC cards in the preview ---- */
+    function enableCardDragging(localized) {
+        getSections(localized).filter(section => ORDERED_RENDERERS.includes(section.renderer) && typeof section.source === 'string').forEach(section => {
+            const mount = document.getElementById(getSectionMountId(section));
+            if (!mount) return;
+            // Rendered cards follow normalizeUGCItems' order, which skips unusable items
+            const rendered = normalizeUGCItems(resolveSectionData(localized, section) || []).map(item => item.originalIndex);
+            mount.querySelectorAll('.ugc-row > *').forEach((card, i) => {
+                card.draggable = true;
+                card.dataset.editorIndex = rendered[i];
+            });
+            if (mount.dataset.editorDrag) return;
+            mount.dataset.editorDrag = section.source;
+            let dragged = null;
+            mount.addEventListener('dragstart', (e) => {
+                dragged = e.target.closest('[data-editor-index]');
+                if (!dragged) return;
+                e.dataTransfer.effectAllowed = 'move';
+                e.dataTransfer.setData('text/plain', dragged.dataset.editorIndex);
+                dragged.classList.add('is-dragging');
+            });
+            mount.addEventListener('dragover', (e) => {
+                const over = e.target.closest('[data-editor-index]');
+                if (!dragged || !over) return;
+                e.preventDefault();
+                if (over === dragged) return;
+                const rect = over.getBoundingClientRect();
+                over.parentNode.insertBefore(dragged, e.clientX > rect.left + rect.width / 2 ? over.nextSibling : over);
+            });
+            mount.addEventListener('drop', (e) => e.preventDefault());
+            mount.addEventListener('dragend', () => {
+                if (!dragged) return;
+                dragged.classList.remove('is-dragging');
+                dragged = null;
+                const keys = mount.dataset.editorDrag.split('.');
+                const list = getAtPath(config, keys);
+                const shown = [...mount.querySelectorAll('[data-editor-index]')].map(card => Number(card.dataset.editorIndex));
+                const rest = displayOrder(list, true).filter(index => !shown.includes(index));
+                writeOrder(list, [...shown, ...rest]);
+                changed(keys, { rerender: pathString(keys) === pathString(target.keys) });
+            });
+        });
+    }
+
+    /* ---- Panel events ---- */
+    panel.querySelector('.editor-target').addEventListener('change', (e) => {
+        target = targets[Number(e.target.value)];
+        expanded.clear();
+        renderBody();
+    });
+
+    panel.addEventListener('click', (e) => {
+        const button = e.target.closest('[data-action]');
+        if (!button) return;
+        const item = button.closest('.editor-item');
+        const index = item ? Number(item.dataset.index) : -1;
+        const list = target.kind === 'list' ? getAtPath(config, target.keys) : null;
+
+        switch (button.dataset.action) {
+            case 'toggle':
+                if (expanded.has(index)) expanded.delete(index);
+                else expanded.add(index);
+                renderBody();
+                break;
+            case 'up':
+            case 'down':
+                move(Number(item.dataset.position), button.dataset.action === 'up' ? -1 : 1);
+                break;
+            case 'delete':
+                if (!window.confirm(t('editor.confirmDelete', { item: itemLabel(list[index], index) }))) return;
+                list.splice(index, 1);
+                expanded.clear();
+                changed(target.keys, { rerender: true });
+                break;
+            case 'add':
+                list.push(newListItem(list, schemaAt(config, [...target.keys, list.length]), isOrdered(target)));
+                expanded.add(list.length - 1);
+                changed(target.keys, { rerender: true });
+                body.querySelector('.editor-item.open:last-of-type input, .editor-item.open:last-of-type textarea')?.focus();
+                break;
+            case 'remove-field': {
+                const keys = JSON.parse(button.closest('.editor-field').dataset.path);
+                setAtPath(config, keys, undefined);
+                changed(keys, { rerender: true });
+                break;
+            }
+            case 'download':
+                downloadTextFile('config.json', serializeConfig(config), 'application/json');
+                break;
+            case 'diff': {
+                const diff = unifiedDiff(originalText, serializeConfig(config), 'config.json');
+                if (diff) downloadTextFile('config.json.diff', diff, 'text/x-diff');
+                else status.textContent = t('editor.noChanges');
+                break;
+            }
+            case 'reset':
+                if (isDirty() && !window.confirm(t('editor.confirmReset'))) return;
+                window.removeEventListener('beforeunload', warnUnsaved);
+                window.location.reload();
+                break;
+        }
+    });
+
+    // Typing updates the config and preview without rebuilding the form (keeps focus)
+    panel.addEventListener('input', (e) => {
+        const field = e.target.closest('.editor-field');
+        if (!field) return;
+        const keys = JSON.parse(field.dataset.path);
+        const box = field.querySelector('.editor-field-error');
+        let value;
+        try {
+            value = readEditorField(field);
+            delete field.dataset.jsonError;
+        } catch (err) {
+            field.dataset.jsonError = 'true';
+            box.hidden = false;
+            box.textContent = t('editor.invalidJson');
+            return;
+        }
+        setAtPath(config, keys, value);
+        const item = field.closest('.editor-item');
+        if (item) {
+            const index = Number(item.dataset.index);
+            item.querySelector('.editor-item-title').textContent = itemLabel(getAtPath(config, target.keys)[index], index);
+        }
+        changed(keys);
+    });
+
+    panel.addEventListener('change', (e) => {
+        if (!e.target.matches('.editor-add-field') || !e.target.value) return;
+        const keys = [...JSON.parse(e.target.dataset.path), e.target.value];
+        setAtPath(config, keys, emptyFieldValue(schemaAt(config, keys)));
+        changed(keys, { rerender: true });
+    });
+
+    function warnUnsaved(e) {
+        if (!isDirty()) return;
+        e.preventDefault();
+        e.returnValue = '';
+    }
+    window.addEventListener('beforeunload', warnUnsaved);
+
+    enableCardDragging(localizeConfig(config, currentLocale));
+    renderBody();
+}
@@ -0,0 +1,66 @@
+// ============================================================
+// HTML.JS — Safe Templating
+// `html` tagged templates escape every interpolated value unless
+// it is itself html`` output; `safeUrl` only lets http(s), mailto
+// and relative links through
+// ============================================================
+
+class SafeHtml {
+    constructor(value) {
+        this.value = value;
+    }
+
+    toString() {
+        return this.value;
+    }
+}
+
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+function escapeHtml(value) {
+    return String(value).replace(/[&<>"']/g, ch => HTML_ESCAPES[ch]);
+}
+
+function renderHtmlValue(value) {
+    if (value instanceof SafeHtml) return value.value;
+    if (Array.isArray(value)) return value.map(renderHtmlValue).join('');
+    if (value == null || value === false) return '';
+    return escapeHtml(value);
+}
+
+// Arrays are joined, nested html`` is kept, everything else is escaped
+function html(strings, ...values) {
+    let out = strings[0];
+    values.forEach((value, i) => {
+        out += renderHtmlValue(value) + strings[i + 1];
+    });
+    return new SafeHtml(out);
+}
+
+// Trusted markup only (static icons, entities) — never config values
+function rawHtml(markup) {
+    return new SafeHtml(String(markup));
+}
+
+// { videoSrc: 'x', ytId: 'y' } → data-video-src="x" data-yt-id="y"
+function dataAttrs(data) {
+    return rawHtml(Object.entries(data || {})
+        .filter(([, value]) => value != null && value !== '')
+        .map(([key, value]) => ` data-${key.replace(/[A-Z]/g, ch => '-' + ch.toLowerCase())}="${escapeHtml(value)}"`)
+        .join(''));
+}
+
+const SAFE_URL_SCHEMES = ['http', 'https', 'mailto'];
+
+function safeUrl(url, fallback = '#') {
+    if (typeof url !== 'string' || !url.trim()) return fallback;
+    // Browsers ignore tabs/newlines inside a scheme ("java\tscript:"), so strip them before checking
+    const normalized = url.replace(/[\u0000- ]/g, '');
+    const scheme = normalized.match(/^([a-z][a-z0-9+.-]*):/i);
+    if (scheme && !SAFE_URL_SCHEMES.includes(scheme[1].toLowerCase())) return fallback;
+    return url.trim();
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { SafeHtml, html, rawHtml, escapeHtml, dataAttrs, safeUrl };
+}
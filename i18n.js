@@ -0,0 +1,112 @@
+// ============================================================
+// I18N.JS — UI Strings & Language Switcher
+// Interface text lives in locales/<code>.json, flat keys like
+// "contact.send"; t() looks a key up in the active locale, then
+// in English, then returns the key itself. Config text is
+// translated in config.json instead (see localizable() in
+// schema.js). ?lang=es picks a locale and remembers it.
+// ============================================================
+
+const DEFAULT_LOCALE = 'en';
+const LOCALE_STORAGE_KEY = 'locale';
+
+// Shown in the switcher, each in its own language
+const LOCALE_NAMES = { en: 'English', es: 'Español' };
+
+const LOCALE_STRINGS = {};
+let currentLocale = DEFAULT_LOCALE;
+
+function matchLocale(tag) {
+    const code = String(tag || '').toLowerCase().split('-')[0];
+    return LOCALES.includes(code) ? code : null;
+}
+
+function storeLocale(locale) {
+    try {
+        localStorage.setItem(LOCALE_STORAGE_KEY, locale);
+    } catch (err) {
+        // Private mode — ?lang still works, it just isn't remembered
+    }
+}
+
+// ?lang= first (and remembered), then the last choice, then the browser's languages
+function preferredLocale() {
+    const requested = matchLocale(new URLSearchParams(location.search).get('lang'));
+    if (requested) {
+        storeLocale(requested);
+        return requested;
+    }
+    let stored = null;
+    try {
+        stored = matchLocale(localStorage.getItem(LOCALE_STORAGE_KEY));
+    } catch (err) {
+        // Storage blocked — fall through to the browser's languages
+    }
+    return stored || (navigator.languages || [navigator.language]).map(matchLocale).find(Boolean) || DEFAULT_LOCALE;
+}
+
+// catalogues: { en: {...}, es: {...} } — tools/prerender.js calls this directly
+function setLocale(locale, catalogues) {
+    Object.assign(LOCALE_STRINGS, catalogues);
+    currentLocale = locale;
+}
+
+// English is always loaded too, as the fallback for missing keys
+function loadLocale(locale = preferredLocale()) {
+    const codes = [...new Set([DEFAULT_LOCALE, locale])];
+    return Promise.all(codes.map(code => fetch(`locales/${code}.json`)
+        .then(r => (r.ok ? r.json() : Promise.reject(new Error(`HTTP ${r.status}`))))
+        .catch(err => {
+            console.warn(`[I18n] locales/${code}.json failed to load:`, err.message);
+            return {};
+        })))
+        .then(catalogues => {
+            setLocale(locale, Object.fromEntries(codes.map((code, i) => [code, catalogues[i]])));
+            document.documentElement.lang = locale;
+            return locale;
+        });
+}
+
+function lookupString(key) {
+    return LOCALE_STRINGS[currentLocale]?.[key] ?? LOCALE_STRINGS[DEFAULT_LOCALE]?.[key] ?? key;
+}
+
+// t('credits.showing', { shown: 2, total: 7 }) → "Showing 2 of 7 credits"
+function t(key, vars = {}) {
+    return lookupString(key).replace(/\{(\w+)\}/g, (match, name) => (name in vars ? String(vars[name]) : match));
+}
+
+// t() for html`` templates: the text is escaped, vars may be html`` markup
+function tHtml(key, vars = {}) {
+    return rawHtml(lookupString(key).split(/(\{\w+\})/).map(part => {
+        const name = part.match(/^\{(\w+)\}$/)?.[1];
+        return name && name in vars ? renderHtmlValue(vars[name]) : escapeHtml(part);
+    }).join(''));
+}
+
+// Static text in index.html: <span data-i18n="nav.minimized">Minimized</span>
+function applyStaticStrings(root = document) {
+    root.querySelectorAll('[data-i18n]').forEach(el => {
+        el.textContent = t(el.dataset.i18n);
+    });
+    root.querySelectorAll('[data-i18n-label]').forEach(el => {
+        el.setAttribute('aria-label', t(el.dataset.i18nLabel));
+    });
+}
+
+/* ===== LANGUAGE SWITCHER ===== */
+// Reloads with ?lang= so the choice is also a shareable link
+function initLanguageSwitcher() {
+    const select = document.getElementById('langSwitcher');
+    if (!select) return;
+    select.innerHTML = html`${LOCALES.map(code =>
+        html`<option value="${code}"${code === currentLocale ? html` selected` : ''}>${LOCALE_NAMES[code] || code}</option>`
+    )}`;
+    select.hidden = false;
+    select.addEventListener('change', () => {
+        storeLocale(select.value);
+        const url = new URL(window.location.href);
+        url.searchParams.set('lang', select.value);
+        window.location.assign(url);
+    });
+}
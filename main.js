@@ -3,20 +3,9 @@
 // Clean, liquid-glass scrolling experience
 // ============================================================
 
-const SECTION_DATA = [
-    { id: 'hero',       name: 'Home'             },
-    { id: 'directing',  name: 'Content Samples'  },
-    { id: 'network',    name: 'Network Segments' },
-    { id: 'ugc',        name: 'UGC Content'      },
-    { id: 'clientele',  name: 'Clientele'        },
-    { id: 'projects',   name: 'Projects'         },
-    { id: 'social',     name: 'Social'           },
-    { id: 'resume',     name: 'Resume'           },
-    { id: 'contact',    name: "Let's Create"     }
-];
-
 class App {
-    constructor() {
+    constructor(sections) {
+        this.sections = sections; // [{id, name, ...}] from config.json "sections"
         this.init();
     }
 
@@ -49,17 +38,31 @@ class App {
 
     // ---- Flat navigation: dodecahedron label + nav links ----
     _initFlatNavigation() {
-        const sectionIds = SECTION_DATA.map(s => s.id);
+        const sectionIds = this.sections.map(s => s.id);
         let currentIdx = 0;
 
         const updateLabel = () => {
             const label = document.getElementById('sectionLabel');
-            if (label) {
-                label.textContent = SECTION_DATA[currentIdx].name;
+            if (label && this.sections[currentIdx]) {
+                label.textContent = this.sections[currentIdx].name;
                 label.style.opacity = '1';
             }
         };
 
+        // A section counts as viewed once it stays current for a moment,
+        // so scrolling past it on the way somewhere else doesn't
+        let viewTimer = null;
+        let viewedIdx = -1;
+        const recordView = () => {
+            clearTimeout(viewTimer);
+            if (currentIdx === viewedIdx) return;
+            const idx = currentIdx;
+            viewTimer = setTimeout(() => {
+                viewedIdx = idx;
+                track('section_view', { section: sectionIds[idx] });
+            }, 1000);
+        };
+
         // Determine current section from scroll position
         const detectCurrentSection = () => {
             const panels = sectionIds.map(id =>
@@ -70,6 +73,7 @@ class App {
                 if (panels[i].offsetTop <= viewMid) { currentIdx = i; break; }
             }
             updateLabel();
+            recordView();
         };
 
         window.addEventListener('scroll', detectCurrentSection, { passive: true });
@@ -124,10 +128,8 @@ class App {
 }
 
 // ===================== LAUNCH =====================
-if (document.readyState === 'loading') {
-    document.addEventListener('DOMContentLoaded', () => {
-        setTimeout(() => new App(), 100);
-    });
-} else {
-    setTimeout(() => new App(), 100);
-}
+// Panels and nav links are built from config.json by script.js,
+// so wait for them before wiring navigation
+window.addEventListener('contentReady', (e) => {
+    setTimeout(() => new App(e.detail?.sections || []), 100);
+}, { once: true });
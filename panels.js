@@ -0,0 +1,507 @@
+// ============================================================
+// PANELS.JS — Section Registry & Renderers
+// Turns config.json "sections" into panel markup. Renderers only
+// return html`` strings, so tools/prerender.js can bake the same
+// markup into index.html; anything that needs the live DOM
+// (listeners, animations) lives in a type's `hydrate` and runs
+// whether the panels were built here or prerendered.
+// ============================================================
+
+/* ===== SECTION REGISTRY ===== */
+// Panel layouts keyed by the `renderer` field of config.sections.
+// `mount` is the id of the element the render output fills ({id} = section id).
+//   render:  (data, config, section) => html for the mount
+//   intro:   (data, config, section) => html between the header and the body
+//   hydrate: (mount, data, config, section) => wires up the rendered markup
+const SECTION_TYPES = {
+    hero:        { className: 'hero',              scrollable: false, header: false, body: heroBody },
+    videoRow:    { className: 'directing-section', mount: '{id}Row',         body: scrollRowBody, render: renderDirecting },
+    featuredRow: { className: 'featured-section',  mount: '{id}Row',         body: scrollRowBody, render: renderFeaturedRow, intro: renderReachCounter, hydrate: hydrateReachCounter },
+    videoGrid:   { className: 'ugc-section',       mount: '{id}Grid',        body: (id, content) => html`<div class="video-grid vertical-grid" id="${id}">${content}</div>`, render: renderUGC },
+    projects:    { className: 'projects-section',  mount: '{id}Grid',        body: (id, content) => html`<div class="projects-grid anim-stagger" id="${id}">${content}</div>`, render: renderProjects },
+    social:      { className: 'social-section',    mount: '{id}Grid',        body: (id, content) => html`<div class="social-grid anim-stagger" id="${id}">${content}</div>`, render: renderSocial },
+    resume:      { className: 'resume-section',    mount: '{id}Container',   body: (id, content) => html`<div id="${id}">${content}</div>`, render: renderResume, hydrate: hydrateResume },
+    contact:     { className: 'contact-section',   mount: '{id}Info',        body: contactBody, render: renderContact }
+};
+
+function getSections(config) {
+    return (config.sections || [])
+        .map((section, index) => {
+            const parsedOrder = Number(section.order);
+            return { ...section, order: Number.isFinite(parsedOrder) ? parsedOrder : index, originalIndex: index };
+        })
+        .filter(section => section.visible !== false && SECTION_TYPES[section.renderer])
+        .sort((a, b) => {
+            if (a.order !== b.order) return a.order - b.order;
+            return a.originalIndex - b.originalIndex;
+        });
+}
+
+function getSectionMountId(section) {
+    const type = SECTION_TYPES[section.renderer];
+    if (section.mount) return section.mount;
+    return type.mount ? type.mount.replace('{id}', section.id) : null;
+}
+
+function resolveConfigPath(config, path) {
+    return path.split('.').reduce((node, key) => (node == null ? undefined : node[key]), config);
+}
+
+function resolveSectionData(config, section) {
+    if (!section.source) return config;
+    if (Array.isArray(section.source)) {
+        return section.source.flatMap(path => resolveConfigPath(config, path) || []);
+    }
+    return resolveConfigPath(config, section.source);
+}
+
+// A section whose source path doesn't resolve would otherwise render empty
+function checkSectionSources(config) {
+    const errors = [];
+    (config.sections || []).forEach((section, i) => {
+        const sources = [].concat(section.source || []);
+        sources.forEach((path, j) => {
+            if (typeof path === 'string' && resolveConfigPath(config, path) === undefined) {
+                const at = Array.isArray(section.source) ? `sections[${i}].source[${j}]` : `sections[${i}].source`;
+                errors.push({ path: at, message: `"${path}" does not exist in config.json` });
+            }
+        });
+    });
+    return errors;
+}
+
+function buildSectionPanel(section, config) {
+    const type = SECTION_TYPES[section.renderer];
+    const data = resolveSectionData(config, section);
+    const hasData = data != null;
+    const content = type.render && hasData ? type.render(data, config, section) : '';
+    // Wrapped even when empty so refreshSection() has somewhere to put it
+    const intro = type.intro ? html`<div class="section-intro">${hasData ? type.intro(data, config, section) : ''}</div>` : '';
+    const heading = section.heading || section.title;
+    const header = type.header === false ? '' : html`
+                        <div class="section-header anim-fade-up">
+                            <h2>${heading}</h2>
+                            ${section.subtitle ? html`<p class="retainer-list">${section.subtitle}</p>` : ''}
+                        </div>`;
+    return html`
+        <div class="section-panel" data-section="${section.id}">
+            <div class="panel-inner" data-title="${section.title}">
+                <div class="panel-inner-header">
+                    <div class="panel-inner-header-title">${section.title}</div>
+                    <div class="panel-inner-header-buttons">
+                        <button class="window-btn" title="Minimize">_</button>
+                        <button class="window-btn" title="Maximize">□</button>
+                        <button class="window-btn" title="Close">×</button>
+                    </div>
+                </div>
+                <div class="panel-content${type.scrollable === false ? '' : ' panel-scrollable'}">
+                    <section id="${section.id}" class="${type.className}">${header}${intro}
+                        ${type.body(getSectionMountId(section), content)}
+                    </section>
+                </div>
+            </div>
+        </div>`;
+}
+
+function sectionPanelsMarkup(sections, config) {
+    return html`${sections.map(section => buildSectionPanel(section, config))}`;
+}
+
+function buildSectionPanels(sections, config) {
+    const container = document.getElementById('sectionPanels');
+    if (!container) return;
+    container.innerHTML = sectionPanelsMarkup(sections, config);
+}
+
+function navigationMarkup(sections) {
+    const linked = sections.filter(s => s.nav);
+    return {
+        menu: html`${linked.map(s => html`<li><a href="#${s.id}" class="nav-link">${s.nav}</a></li>`)}`,
+        footer: html`${linked.map(s => html`<a href="#${s.id}">${s.nav}</a>`)}`
+    };
+}
+
+function buildNavigation(sections) {
+    const { menu, footer } = navigationMarkup(sections);
+    const navMenu = document.querySelector('.nav-menu');
+    if (navMenu) navMenu.innerHTML = menu;
+    const footerLinks = document.querySelector('.footer-links');
+    if (footerLinks) footerLinks.innerHTML = footer;
+}
+
+// Re-renders one section's intro and mount in place — the ?edit preview
+function refreshSection(section, config) {
+    const type = SECTION_TYPES[section.renderer];
+    const mount = document.getElementById(getSectionMountId(section));
+    const data = resolveSectionData(config, section);
+    if (!mount || data == null) return;
+    if (type.render) mount.innerHTML = type.render(data, config, section);
+    const intro = document.getElementById(section.id)?.querySelector('.section-intro');
+    if (intro) intro.innerHTML = type.intro(data, config, section);
+    if (type.hydrate) type.hydrate(mount, data, config, section);
+}
+
+function hydrateSections(config, sections) {
+    sections.forEach(section => {
+        const type = SECTION_TYPES[section.renderer];
+        if (!type.hydrate) return;
+        const mount = document.getElementById(getSectionMountId(section));
+        const data = resolveSectionData(config, section);
+        if (!mount || data == null) return;
+        type.hydrate(mount, data, config, section);
+    });
+}
+
+/* ===== PRERENDER ===== */
+// FNV-1a over the config's JSON — tools/prerender.js stamps it on
+// #sectionPanels, so markup built from an older config.json is rebuilt
+function configFingerprint(config) {
+    const text = JSON.stringify(config);
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193) >>> 0;
+    }
+    return hash.toString(16).padStart(8, '0');
+}
+
+// The markup must also be in the visitor's language (data-locale, stamped alongside)
+function isPrerendered(config) {
+    const panels = document.getElementById('sectionPanels');
+    return panels?.dataset.prerendered === configFingerprint(config)
+        && (panels.dataset.locale || DEFAULT_LOCALE) === currentLocale;
+}
+
+/* ===== PANEL BODIES ===== */
+function heroBody() {
+    return html`
+                        <div class="hero-inner">
+                            <div class="hero-content">
+                                <p class="hero-tag">ZAC STERN</p>
+                                <h1 class="hero-title">${tHtml('hero.title', {
+                                    producer: html`<span class="accent">${t('hero.producer')}</span>`,
+                                    director: html`<span class="accent">${t('hero.director')}</span>`
+                                })}</h1>
+                                <p class="hero-subtitle">${t('hero.subtitle')}</p>
+                                <div class="hero-buttons">
+                                    <a href="#directing" class="btn btn-primary">${t('hero.viewWork')}</a>
+                                    <a href="#contact" class="btn btn-secondary">${t('hero.getInTouch')}</a>
+                                </div>
+                            </div>
+                            <div class="hero-avatar">
+                                ${thumbImage(thumbnailSources('drive', '1d3FVEYHQPDUEQzDo5MbPvBd7so4bOPTU'), { alt: 'Zac Stern', placeholder: 'fa-user' })}
+                            </div>
+                        </div>`;
+}
+
+function scrollRowBody(id, content) {
+    return html`
+                        <div class="scroll-row-wrap">
+                            <button class="scroll-btn scroll-left" aria-label="${t('scroll.left')}"><i class="fas fa-chevron-left"></i></button>
+                            <div class="scroll-row" id="${id}">${content}</div>
+                            <button class="scroll-btn scroll-right" aria-label="${t('scroll.right')}"><i class="fas fa-chevron-right"></i></button>
+                        </div>`;
+}
+
+function contactBody(id, content) {
+    return html`
+                        <div class="contact-container anim-fade-up">
+                            <div class="contact-info" id="${id}">${content}</div>
+                            <form class="contact-form" id="contactForm" novalidate>
+                                <input type="text" name="name" placeholder="${t('contact.yourName')}" autocomplete="name" required>
+                                <input type="email" name="email" placeholder="${t('contact.yourEmail')}" autocomplete="email" required>
+                                <textarea name="message" placeholder="${t('contact.yourMessage')}" rows="6" required></textarea>
+                                <div class="form-honeypot" aria-hidden="true">
+                                    <label>${t('contact.honeypot')} <input type="text" name="website" tabindex="-1" autocomplete="off"></label>
+                                </div>
+                                <button type="submit" class="btn btn-primary">${t('contact.send')}</button>
+                            </form>
+                        </div>`;
+}
+
+/* ===== 1. CONTENT SAMPLES 16:9 (Horizontal UGC) ===== */
+function renderDirecting(items) {
+    return html`${items.map(item => renderCard(item, { orientation: 'horizontal', className: 'h-scroll-card', thumbSize: 'lg' }))}`;
+}
+
+/* ===== 2. FEATURED ROWS (Network Segments, Social Media Clientele) ===== */
+function renderFeaturedRow(items) {
+    return html`${items.map(item => renderCard(item))}`;
+}
+
+// "23M+ views across TikTok and YouTube", summed from the items' stats
+function renderReachCounter(items, config, section) {
+    if (!section.reach) return '';
+    const { total, platforms } = sumReach(items);
+    if (!total) return '';
+    return html`
+                        <div class="reach-counter anim-fade-up">${tHtml('reach.across', {
+                            total: html`<span class="reach-number" data-total="${total}">${formatReach(total)}</span>`,
+                            platforms: statPlatformList(platforms, t('list.and'))
+                        })}</div>`;
+}
+
+// Counts up from zero the first time the counter scrolls into view
+function hydrateReachCounter(row) {
+    const counter = row.closest('section')?.querySelector('.reach-counter');
+    if (!counter) return;
+    const number = counter.querySelector('.reach-number');
+    const total = Number(number.dataset.total);
+    if (window.matchMedia('(prefers-reduced-motion: reduce)').matches || !('IntersectionObserver' in window)) return;
+    number.textContent = '0';
+    const observer = new IntersectionObserver(entries => {
+        if (!entries[0].isIntersecting) return;
+        observer.disconnect();
+        animateCount(number, total, formatReach(total));
+    }, { threshold: 0.5 });
+    observer.observe(counter);
+}
+
+function animateCount(el, target, finalText, duration = 1600) {
+    const start = performance.now();
+    const frame = (now) => {
+        const progress = Math.min(1, (now - start) / duration);
+        const eased = 1 - Math.pow(1 - progress, 3);
+        el.textContent = progress < 1 ? formatCount(Math.floor(target * eased)) : finalText;
+        if (progress < 1) requestAnimationFrame(frame);
+    };
+    requestAnimationFrame(frame);
+}
+
+/* ===== 3. UGC VIDEOS (Vertical) ===== */
+function normalizeUGCItems(items) {
+    return items
+        .map((rawItem, index) => {
+            if (typeof rawItem === 'string') {
+                const id = rawItem.trim();
+                if (!id) return null;
+                return {
+                    id,
+                    title: t('ugc.untitled', { n: index + 1 }),
+                    order: index,
+                    originalIndex: index
+                };
+            }
+
+            if (!rawItem || typeof rawItem !== 'object') return null;
+
+            // Drive uploads need an id, other card types their own media field
+            if (!isRenderableCard(rawItem)) return null;
+            const id = String(rawItem.id || rawItem.fileId || '').trim();
+
+            const fallbackTitle = t('ugc.untitled', { n: index + 1 });
+            const title = String(rawItem.title || rawItem.name || '').trim() || fallbackTitle;
+            const parsedOrder = Number(rawItem.order);
+            const order = Number.isFinite(parsedOrder) ? parsedOrder : index;
+
+            return {
+                ...rawItem,
+                id,
+                title,
+                order,
+                originalIndex: index
+            };
+        })
+        .filter(Boolean)
+        .sort((a, b) => {
+            if (a.order !== b.order) return a.order - b.order;
+            return a.originalIndex - b.originalIndex;
+        });
+}
+
+function renderUGC(rawItems) {
+    const items = normalizeUGCItems(rawItems);
+
+    if (!items.length) {
+        return html`<p class="ugc-empty">${t('ugc.empty')}</p>`;
+    }
+
+    // Group cards into rows of 6 that animate together
+    const batchSize = 6;
+    const rows = [];
+    for (let i = 0; i < items.length; i += batchSize) {
+        const rowCards = items.slice(i, i + batchSize);
+        rows.push(html`<div class="ugc-row">${rowCards.map(item => renderCard(item, { orientation: 'vertical', thumbSize: 'xl' }))}</div>`);
+    }
+    return html`${rows}`;
+}
+
+/* ===== PROJECTS ===== */
+function renderProjects(projects) {
+    return html`${projects.map(p => html`
+        <a href="${safeUrl(p.url)}" target="_blank" rel="noopener" class="project-card">
+            <div class="project-bg"><i class="fas ${p.icon}"></i></div>
+            <h3>${p.name}</h3>
+            <p>${p.description}</p>
+            <span class="project-link"><i class="fas fa-arrow-right"></i> ${t('projects.visit')}</span>
+        </a>
+    `)}`;
+}
+
+/* ===== SOCIAL ===== */
+function renderSocial(s) {
+    const cards = [];
+    if (s.instagram) {
+        cards.push(html`
+        <a href="${safeUrl(s.instagram)}" target="_blank" rel="noopener" class="social-card">
+            <i class="fab fa-instagram"></i>
+            <h3>Instagram</h3>
+            <p>${s.instagramHandle || '@zac_stern'}</p>
+            <span class="follow-btn">${t('social.follow')}</span>
+        </a>`);
+    }
+    if (s.linkedin) {
+        cards.push(html`
+        <a href="${safeUrl(s.linkedin)}" target="_blank" rel="noopener" class="social-card">
+            <i class="fab fa-linkedin"></i>
+            <h3>LinkedIn</h3>
+            <p>${t('social.linkedinProfile')}</p>
+            <span class="follow-btn">${t('social.connect')}</span>
+        </a>`);
+    }
+    return html`${cards}`;
+}
+
+/* ===== RESUME ===== */
+function renderResume(r) {
+    const parts = [];
+    const links = [];
+    if (r.url) {
+        links.push(html`<a href="${safeUrl(r.url)}" target="_blank" rel="noopener noreferrer"><i class="fas fa-file-alt"></i> ${t('resume.viewFull')}</a>`);
+    }
+    links.push(html`<a href="?print=resume"><i class="fas fa-print"></i> ${t('resume.printSheet')}</a>`);
+    links.push(html`<button type="button" class="resume-download"><i class="fas fa-download"></i> ${t('resume.downloadJson')}</button>`);
+    parts.push(html`<div class="resume-header-link">${links}</div>`);
+    if (r.experience && r.experience.length) {
+        const entries = resumeTimeline(r.experience);
+        parts.push(renderResumeTotals(resumeTotals(entries)));
+        parts.push(renderResumeChart(entries));
+        parts.push(renderCreditFilters(entries));
+        parts.push(html`<div class="resume-timeline">${entries.map(({ exp, range, network }) =>
+            html`<div class="resume-item"${dataAttrs({ network, roleCategory: exp.roleCategory })}><div class="role">${exp.role}</div><div class="show">${creditTitle(exp)}</div><div class="period">${exp.period}${
+                range ? html`<span class="duration">${localDuration(range.end - range.start)}</span>` : ''
+            }</div><div class="desc">${exp.description}</div></div>`
+        )}</div>`);
+    }
+    if (r.ugcSummary) {
+        parts.push(html`<div class="resume-ugc"><h4><i class="fas fa-camera"></i> ${t('resume.ugcCreator')}</h4><p>${r.ugcSummary}</p></div>`);
+    }
+    if (r.education) {
+        parts.push(html`<div class="resume-education"><h4><i class="fas fa-graduation-cap"></i> ${t('resume.education')}</h4><p>${r.education}</p></div>`);
+    }
+    return html`${parts}`;
+}
+
+function hydrateResume(container, r, config) {
+    container.querySelector('.resume-download')?.addEventListener('click', () => downloadJsonResume(config));
+    initCreditFilters(container);
+}
+
+// "8 yrs 10 mos" in the active language
+function localDuration(months) {
+    return formatDuration(months, {
+        year: t('duration.year'), years: t('duration.years'), month: t('duration.month'), months: t('duration.months')
+    });
+}
+
+function renderResumeTotals(totals) {
+    const boxes = [];
+    if (totals.months) boxes.push(html`<div class="resume-total"><strong>${localDuration(totals.months)}</strong><span>${t('resume.totalExperience')}</span></div>`);
+    if (totals.networkMonths) boxes.push(html`<div class="resume-total"><strong>${localDuration(totals.networkMonths)}</strong><span>${t('resume.totalNetwork')}</span></div>`);
+    if (totals.networks.length) boxes.push(html`<div class="resume-total"><strong>${totals.networks.join(' · ')}</strong><span>${t('resume.networks')}</span></div>`);
+    return boxes.length ? html`<div class="resume-totals">${boxes}</div>` : '';
+}
+
+// One bar per dated entry on a years axis; overlapping entries get their own lane
+function renderResumeChart(entries) {
+    const dated = entries.filter(e => e.range);
+    if (!dated.length) return '';
+    const first = Math.floor(Math.min(...dated.map(e => e.range.start)) / 12) * 12;
+    const last = Math.ceil(Math.max(...dated.map(e => e.range.end)) / 12) * 12;
+    const span = last - first;
+    const percent = months => `${(months / span * 100).toFixed(2)}%`;
+    const lanes = Math.max(...dated.map(e => e.lane)) + 1;
+    const step = Math.ceil(span / 12 / 10);
+    const years = [];
+    for (let year = first / 12; year < last / 12; year += step) years.push(year);
+
+    return html`<div class="resume-chart" style="--lanes:${lanes}" role="img" aria-label="${t('resume.chartLabel', { count: dated.length, from: first / 12, to: last / 12 - 1 })}">
+        <div class="chart-lanes">${dated.map(e => html`<span class="chart-bar${e.network ? ' network' : ''}${e.range.ongoing ? ' ongoing' : ''}" style="left:${percent(e.range.start - first)};width:${percent(e.range.end - e.range.start)};--lane:${e.lane}"${dataAttrs({ network: e.network, roleCategory: e.exp.roleCategory })} title="${e.exp.role} · ${creditTitle(e.exp)} (${e.exp.period})"></span>`)}</div>
+        <div class="chart-axis">${years.map(year => html`<span style="left:${percent(year * 12 - first)}">${year}</span>`)}</div>
+        <div class="chart-legend"><span class="network">${t('resume.legendNetwork')}</span><span>${t('resume.legendCompany')}</span></div>
+    </div>`;
+}
+
+// Chips per network and role category; within a group any chip matches,
+// across groups all must (NBC + Producer → NBC producer credits)
+const CREDIT_FILTER_GROUPS = [
+    { key: 'network', label: 'credits.network' },
+    { key: 'roleCategory', label: 'credits.role' }
+];
+
+function renderCreditFilters(entries) {
+    const groups = CREDIT_FILTER_GROUPS.map(group => {
+        const values = [...new Set(entries.map(e => (group.key === 'network' ? e.network : e.exp[group.key])).filter(Boolean))];
+        return values.length > 1 ? { ...group, values } : null;
+    }).filter(Boolean);
+    if (!groups.length) return '';
+    return html`<div class="credit-filters" role="group" aria-label="${t('credits.filter')}">
+        ${groups.map(group => html`<div class="credit-filter-group"><span class="credit-filter-label">${t(group.label)}:</span>${group.values.map(value =>
+            html`<button type="button" class="credit-chip" aria-pressed="false" data-filter-key="${group.key}" data-filter-value="${value}">${value}</button>`
+        )}</div>`)}
+        <button type="button" class="credit-clear" hidden>${t('credits.showAll')}</button>
+        <span class="credit-count" aria-live="polite"></span>
+    </div>`;
+}
+
+function initCreditFilters(container) {
+    const filters = container.querySelector('.credit-filters');
+    if (!filters) return;
+    const items = [...container.querySelectorAll('.resume-item')];
+    const bars = [...container.querySelectorAll('.chart-bar')];
+    const chips = [...filters.querySelectorAll('.credit-chip')];
+
+    const apply = () => {
+        const active = {};
+        chips.filter(chip => chip.getAttribute('aria-pressed') === 'true').forEach(chip => {
+            (active[chip.dataset.filterKey] ||= []).push(chip.dataset.filterValue);
+        });
+        const matches = el => Object.entries(active).every(([key, values]) => values.includes(el.dataset[key]));
+        const filtering = Object.keys(active).length > 0;
+        let shown = 0;
+        items.forEach(item => {
+            item.hidden = !matches(item);
+            if (!item.hidden) shown++;
+        });
+        bars.forEach(bar => bar.classList.toggle('dimmed', !matches(bar)));
+        filters.querySelector('.credit-clear').hidden = !filtering;
+        filters.querySelector('.credit-count').textContent = filtering ? t('credits.showing', { shown, total: items.length }) : '';
+    };
+
+    filters.addEventListener('click', (e) => {
+        const chip = e.target.closest('.credit-chip');
+        if (chip) {
+            chip.setAttribute('aria-pressed', String(chip.getAttribute('aria-pressed') !== 'true'));
+        } else if (e.target.closest('.credit-clear')) {
+            chips.forEach(c => c.setAttribute('aria-pressed', 'false'));
+        } else {
+            return;
+        }
+        apply();
+    });
+}
+
+/* ===== CONTACT ===== */
+function renderContact(s) {
+    const items = [];
+    if (s.email) {
+        items.push(html`<div class="contact-item"><i class="fas fa-envelope"></i><div><h3>${t('contact.email')}</h3><a href="${safeUrl(`mailto:${s.email}`)}">${s.email}</a></div></div>`);
+    }
+    if (s.socials?.instagram) {
+        items.push(html`<div class="contact-item"><i class="fab fa-instagram"></i><div><h3>Instagram</h3><a href="${safeUrl(s.socials.instagram)}" target="_blank">${s.socials.instagramHandle || '@zac_stern'}</a></div></div>`);
+    }
+    if (s.socials?.linkedin) {
+        items.push(html`<div class="contact-item"><i class="fab fa-linkedin"></i><div><h3>LinkedIn</h3><a href="${safeUrl(s.socials.linkedin)}" target="_blank">Zac Stern</a></div></div>`);
+    }
+    return html`${items}`;
+}
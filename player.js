@@ -0,0 +1,127 @@
+// ============================================================
+// PLAYER.JS — Native Video Player
+// Self-hosted mp4 / hls sources play in the modal's <video>
+// (Drive, YouTube and Vimeo stay in the iframe). Handles poster,
+// captions, muted-autoplay fallback and remembers where each
+// video was left off.
+// ============================================================
+
+const HLS_SCRIPT = 'https://cdn.jsdelivr.net/npm/hls.js@1/dist/hls.min.js';
+const VIDEO_POSITIONS_KEY = 'videoPositions';
+
+let hlsLoader = null;
+let activeHls = null;
+
+// hls.js is only fetched the first time a stream needs it (Safari plays HLS natively)
+function loadHlsLibrary() {
+    if (window.Hls) return Promise.resolve(window.Hls);
+    if (!hlsLoader) {
+        hlsLoader = new Promise((resolve, reject) => {
+            const script = document.createElement('script');
+            script.src = HLS_SCRIPT;
+            script.onload = () => resolve(window.Hls);
+            script.onerror = () => {
+                hlsLoader = null;
+                reject(new Error('hls.js failed to load'));
+            };
+            document.head.appendChild(script);
+        });
+    }
+    return hlsLoader;
+}
+
+/* ===== RESUME POSITIONS ===== */
+function readVideoPositions() {
+    try {
+        return JSON.parse(localStorage.getItem(VIDEO_POSITIONS_KEY) || '{}');
+    } catch (err) {
+        return {};
+    }
+}
+
+function saveVideoPosition(src, seconds) {
+    const positions = readVideoPositions();
+    if (seconds > 0) positions[src] = Math.floor(seconds);
+    else delete positions[src];
+    try {
+        localStorage.setItem(VIDEO_POSITIONS_KEY, JSON.stringify(positions));
+    } catch (err) {
+        // Storage unavailable — playback just starts from the top next time
+    }
+}
+
+/* ===== PLAYBACK ===== */
+// media: { src, type: 'mp4' | 'hls', poster, captions: [{ src, lang, label }] }
+async function playNativeVideo(video, media, { onMuted } = {}) {
+    stopNativeVideo(video);
+    video.poster = media.poster || '';
+    video.dataset.src = media.src;
+    video.replaceChildren(...(media.captions || []).map((track, i) => {
+        const el = document.createElement('track');
+        el.kind = 'captions';
+        el.src = track.src;
+        el.srclang = track.lang || 'en';
+        el.label = track.label || 'English';
+        el.default = i === 0;
+        return el;
+    }));
+
+    if (media.type === 'hls' && !video.canPlayType('application/vnd.apple.mpegurl')) {
+        try {
+            const Hls = await loadHlsLibrary();
+            if (video.dataset.src !== media.src) return; // closed or moved on while loading
+            activeHls = new Hls();
+            activeHls.loadSource(media.src);
+            activeHls.attachMedia(video);
+        } catch (err) {
+            console.error('[Player]', err);
+            return;
+        }
+    } else {
+        video.src = media.src;
+    }
+
+    const resumeAt = readVideoPositions()[media.src];
+    video.addEventListener('loadedmetadata', () => {
+        if (resumeAt && resumeAt < video.duration - 5) video.currentTime = resumeAt;
+    }, { once: true });
+
+    // Browsers block autoplay with sound unless the visitor has interacted —
+    // fall back to muted playback and let the modal offer an unmute button
+    video.muted = false;
+    try {
+        await video.play();
+    } catch (err) {
+        if (err.name !== 'NotAllowedError') return;
+        video.muted = true;
+        onMuted?.();
+        video.play().catch(() => {});
+    }
+}
+
+function stopNativeVideo(video) {
+    if (video.dataset.src) {
+        // currentTime is still 0 if it closed before loading — keep the old position then
+        if (video.ended || video.currentTime > 0) saveVideoPosition(video.dataset.src, video.ended ? 0 : video.currentTime);
+        delete video.dataset.src;
+    }
+    activeHls?.destroy();
+    activeHls = null;
+    video.pause();
+    video.removeAttribute('src');
+    video.replaceChildren();
+    video.load();
+}
+
+// Keeps the resume position current if the tab is closed mid-video
+function initVideoPositionTracking(video) {
+    let lastSaved = 0;
+    video.addEventListener('timeupdate', () => {
+        if (!video.dataset.src || Math.abs(video.currentTime - lastSaved) < 5) return;
+        lastSaved = video.currentTime;
+        saveVideoPosition(video.dataset.src, video.currentTime);
+    });
+    video.addEventListener('ended', () => {
+        if (video.dataset.src) saveVideoPosition(video.dataset.src, 0);
+    });
+}
@@ -0,0 +1,85 @@
+// ============================================================
+// PRINT.JS — Resume One-Sheet
+// A plain document built from config "resume", the "site" contact
+// details and the top social media stats. print.css shows only
+// this sheet when the page is printed; ?print=resume also shows
+// it on screen, so "Save as PDF" gives a proper document.
+// ============================================================
+
+const PRINT_VIEWS = ['resume'];
+const PRINT_TOP_STATS = 3;
+
+function requestedPrintView() {
+    const view = new URLSearchParams(location.search).get('print');
+    return PRINT_VIEWS.includes(view) ? view : null;
+}
+
+// Most-viewed socialMedia items, best first
+function topSocialStats(config, limit = PRINT_TOP_STATS) {
+    return (config.featuredWork?.socialMedia?.items || [])
+        .map(item => ({ item, views: sumReach([item]).total }))
+        .filter(entry => entry.views > 0)
+        .sort((a, b) => b.views - a.views)
+        .slice(0, limit)
+        .map(entry => entry.item);
+}
+
+function sheetStats(item) {
+    return normalizeStats(item.stats)
+        .map(s => t('print.stat', { count: `${formatCount(s.count)}${s.approx ? '+' : ''}`, metric: t(`stats.${s.metric}`), platform: statPlatformLabel(s.platform) }))
+        .join(' · ');
+}
+
+function renderResumeSheet(config) {
+    const basics = jsonResumeBasics(config.site);
+    const r = config.resume || {};
+    const parts = [];
+
+    const contact = [];
+    if (basics.email) contact.push(html`<li><a href="${safeUrl(`mailto:${basics.email}`)}">${basics.email}</a></li>`);
+    if (/^https?:$/.test(location.protocol)) {
+        const site = location.origin + location.pathname;
+        contact.push(html`<li><a href="${safeUrl(site)}">${site.replace(/^https?:\/\//, '').replace(/\/$/, '')}</a></li>`);
+    }
+    (basics.profiles || []).forEach(p => {
+        contact.push(html`<li><a href="${safeUrl(p.url)}">${p.network}${p.username ? html` @${p.username}` : ''}</a></li>`);
+    });
+    parts.push(html`<header class="sheet-header"><h1>${basics.name || ''}</h1>${basics.label ? html`<p class="sheet-label">${basics.label}</p>` : ''}<ul class="sheet-contact">${contact}</ul></header>`);
+
+    const items = config.featuredWork?.socialMedia?.items || [];
+    const { total, platforms } = sumReach(items);
+    if (total) {
+        parts.push(html`<section class="sheet-block"><h2>${t('print.reach')}</h2><p class="sheet-reach">${tHtml('reach.across', { total: html`<strong>${formatReach(total)}</strong>`, platforms: statPlatformList(platforms, t('list.and')) })}</p><ul class="sheet-list">${
+            topSocialStats(config).map(item => html`<li><strong>${item.title}</strong> — ${sheetStats(item)}</li>`)
+        }</ul></section>`);
+    }
+
+    if (r.experience?.length) {
+        parts.push(html`<section class="sheet-block"><h2>${t('resume.experience')}</h2>${resumeTimeline(r.experience).map(({ exp }) =>
+            html`<div class="sheet-entry"><div class="sheet-entry-head"><strong>${exp.role}</strong> · ${creditTitle(exp)}<span class="sheet-period">${exp.period}</span></div>${exp.description ? html`<p>${exp.description}</p>` : ''}</div>`
+        )}</section>`);
+    }
+    if (r.ugcSummary) parts.push(html`<section class="sheet-block"><h2>${t('resume.ugcCreator')}</h2><p>${r.ugcSummary}</p></section>`);
+    if (r.education) parts.push(html`<section class="sheet-block"><h2>${t('resume.education')}</h2><p>${r.education}</p></section>`);
+    if (r.url) parts.push(html`<footer class="sheet-footer">${t('print.fullResume')} <a href="${safeUrl(r.url)}">${r.url}</a></footer>`);
+
+    return html`${parts}`;
+}
+
+// The sheet is always in the page (hidden on screen) so printing from
+// anywhere gives the one-sheet; ?print=resume puts it on screen instead
+function initPrintSheet(config) {
+    document.getElementById('printSheet')?.remove();
+    const sheet = document.createElement('article');
+    sheet.id = 'printSheet';
+    sheet.className = 'print-sheet';
+    sheet.innerHTML = renderResumeSheet(config);
+    document.body.appendChild(sheet);
+
+    if (!requestedPrintView()) return;
+    document.body.classList.add('print-mode');
+    document.getElementById('printStylesheet').media = 'all';
+    sheet.insertAdjacentHTML('afterbegin', html`<div class="print-toolbar"><button type="button" class="print-now"><i class="fas fa-print"></i> ${t('print.now')}</button><a href="${location.pathname}#resume"><i class="fas fa-arrow-left"></i> ${t('print.back')}</a></div>`);
+    sheet.querySelector('.print-now').addEventListener('click', () => window.print());
+    if (config.site?.author) document.title = t('print.title', { name: config.site.author });
+}
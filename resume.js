@@ -0,0 +1,281 @@
+// ============================================================
+// RESUME.JS — JSON Resume Conversion
+// Maps config.json "resume" (+ "site" for contact details) to the
+// JSON Resume standard (https://jsonresume.org/schema) and back.
+// Periods like "November 2022 – 2025" become startDate/endDate;
+// ugcSummary is carried as basics.summary, and the note after the
+// dash in `education` as an award, so a round trip is lossless
+// (translations of those fields are kept from the current config).
+// Also turns periods into month ranges for the resume timeline and
+// splits "Show Season 14 — FOX" credits into show/seasons/network.
+// Used by the "Download resume (JSON)" button and tools/resume.js.
+// ============================================================
+
+const MONTHS = ['January', 'February', 'March', 'April', 'May', 'June',
+    'July', 'August', 'September', 'October', 'November', 'December'];
+
+const PERIOD_SEPARATOR = /\s*[–—-]\s*/;
+
+// "September 2025" → "2025-09", "2018" → "2018"; null if unreadable
+function parsePeriodDate(text) {
+    const m = String(text).trim().match(/^(?:([A-Za-z]+)\.?\s+)?(\d{4})$/);
+    if (!m) return null;
+    if (!m[1]) return m[2];
+    const month = MONTHS.findIndex(name => name.toLowerCase().startsWith(m[1].toLowerCase().slice(0, 3)));
+    return month < 0 ? null : `${m[2]}-${String(month + 1).padStart(2, '0')}`;
+}
+
+// "November 2022 – 2025" → { start: '2022-11', end: '2025' }
+// "2018 – Present"       → { start: '2018', end: null }
+// "October 2022"         → { start: '2022-10', end: '2022-10' }
+function parsePeriod(period) {
+    const [from, to, ...rest] = String(period || '').split(PERIOD_SEPARATOR);
+    if (rest.length) return null;
+    const start = parsePeriodDate(from);
+    if (!start) return null;
+    if (to === undefined) return { start, end: start };
+    if (/^(present|current|now)$/i.test(to.trim())) return { start, end: null };
+    const end = parsePeriodDate(to);
+    return end ? { start, end } : null;
+}
+
+function formatPeriodDate(date) {
+    const [year, month] = date.split('-');
+    return month ? `${MONTHS[Number(month) - 1]} ${year}` : year;
+}
+
+function formatPeriod(start, end) {
+    if (!start) return '';
+    if (end === start) return formatPeriodDate(start);
+    return `${formatPeriodDate(start)} – ${end ? formatPeriodDate(end) : 'Present'}`;
+}
+
+/* ===== TIMELINE ===== */
+// Months are counted as year * 12 + month index, ranges as [start, end)
+function periodMonth(date) {
+    const [year, month] = date.split('-').map(Number);
+    return year * 12 + (month ? month - 1 : 0);
+}
+
+// A year-only end covers that whole year; nothing runs past the current month
+function periodRange(period, now = new Date()) {
+    const p = parsePeriod(period);
+    if (!p) return null;
+    const current = now.getFullYear() * 12 + now.getMonth() + 1;
+    const start = periodMonth(p.start);
+    const end = p.end ? periodMonth(p.end) + (p.end.includes('-') ? 1 : 12) : current;
+    return { start, end: Math.max(start + 1, Math.min(end, current)), ongoing: !p.end };
+}
+
+// Newest first (ongoing work on top), each with its month range and the
+// lane it takes on the chart so overlapping entries sit side by side.
+// Entries whose period can't be read keep config order at the end.
+function resumeTimeline(experience = [], now = new Date()) {
+    const entries = experience.map(exp => ({ exp, range: periodRange(exp.period, now), network: creditNetwork(exp), lane: 0 }));
+    const dated = entries.filter(e => e.range).sort((a, b) => a.range.start - b.range.start);
+    const laneEnds = [];
+    dated.forEach(entry => {
+        let lane = laneEnds.findIndex(end => end <= entry.range.start);
+        if (lane < 0) lane = laneEnds.length;
+        laneEnds[lane] = entry.range.end;
+        entry.lane = lane;
+    });
+    dated.sort((a, b) => (b.range.end - a.range.end) || (b.range.start - a.range.start));
+    return [...dated, ...entries.filter(e => !e.range)];
+}
+
+// Months covered by any of the ranges, overlaps counted once
+function coveredMonths(ranges) {
+    let total = 0;
+    let reach = -Infinity;
+    [...ranges].sort((a, b) => a.start - b.start).forEach(({ start, end }) => {
+        if (end <= reach) return;
+        total += end - Math.max(start, reach);
+        reach = end;
+    });
+    return total;
+}
+
+function resumeTotals(entries) {
+    const dated = entries.filter(e => e.range);
+    const network = dated.filter(e => e.network);
+    return {
+        months: coveredMonths(dated.map(e => e.range)),
+        networkMonths: coveredMonths(network.map(e => e.range)),
+        networks: [...new Set(network.map(e => e.network))]
+    };
+}
+
+const DURATION_UNITS = { year: 'yr', years: 'yrs', month: 'mo', months: 'mos' };
+
+// 14 → "1 yr 2 mos"; the page passes its own units when translated
+function formatDuration(months, units = DURATION_UNITS) {
+    const years = Math.floor(months / 12);
+    const rest = months % 12;
+    const parts = [];
+    if (years) parts.push(`${years} ${years > 1 ? units.years : units.year}`);
+    if (rest || !years) parts.push(`${rest} ${rest === 1 ? units.month : units.months}`);
+    return parts.join(' ');
+}
+
+/* ===== CREDITS ===== */
+// "America's Got Talent Season 18 & 19 — NBC" → { show: "America's Got Talent", seasons: [18, 19], network: 'NBC' }
+const SHOW_PATTERN = /^(.+?)(?:\s+Seasons?\s+(\d+(?:\s*(?:,|&|and)\s*\d+)*))?(?:\s+—\s*([^—]+))?$/;
+
+function parseShow(text) {
+    const m = String(text || '').trim().match(SHOW_PATTERN);
+    if (!m) return { show: '' };
+    const credit = { show: m[1] };
+    if (m[2]) credit.seasons = m[2].split(/\s*(?:,|&|and)\s*/).map(Number);
+    if (m[3]) credit.network = m[3].trim();
+    return credit;
+}
+
+// Chip grouping for a role title: "Associate Story Producer" → "Associate Producer"
+function roleCategory(role) {
+    if (/freelance/i.test(role)) return 'Freelance';
+    if (/associate/i.test(role)) return 'Associate Producer';
+    if (/producer/i.test(role)) return 'Producer';
+    return String(role).trim();
+}
+
+// Experience entry with show/seasons/network split out, keys in config order
+function structureCredit(exp) {
+    const { show, seasons, network } = exp.network || exp.seasons ? exp : parseShow(exp.show);
+    const credit = { role: exp.role, roleCategory: exp.roleCategory || roleCategory(exp.role), show };
+    if (seasons?.length) credit.seasons = seasons;
+    if (network) credit.network = network;
+    credit.period = exp.period;
+    if (exp.description) credit.description = exp.description;
+    return credit;
+}
+
+// Older entries still carry the network in the show text
+function creditNetwork(exp) {
+    return exp.network || parseShow(exp.show).network || null;
+}
+
+function formatSeasons(seasons) {
+    if (!seasons?.length) return '';
+    const list = seasons.length > 1 ? `${seasons.slice(0, -1).join(', ')} & ${seasons[seasons.length - 1]}` : seasons[0];
+    return `Season${seasons.length > 1 ? 's' : ''} ${list}`;
+}
+
+// The credit line as it reads on the page: "Masked Singer Season 14 — FOX"
+function creditTitle(exp) {
+    return [exp.show, formatSeasons(exp.seasons)].filter(Boolean).join(' ') + (exp.network ? ` — ${exp.network}` : '');
+}
+
+// "Bachelors of Science in Public Health at Montana State University — note"
+const EDUCATION_PATTERN = /^(.+?) in (.+?) at (.+?)(?:\s+—\s+(.+))?$/;
+
+/* ===== EXPORT ===== */
+function jsonResumeBasics(site = {}) {
+    const basics = {};
+    if (site.author) basics.name = site.author;
+    const label = site.author && site.title?.startsWith(`${site.author} - `) ? site.title.slice(site.author.length + 3) : '';
+    if (label) basics.label = label;
+    if (site.email) basics.email = site.email;
+
+    const profiles = [];
+    if (site.socials?.instagram) {
+        profiles.push({ network: 'Instagram', username: (site.socials.instagramHandle || '').replace(/^@/, ''), url: site.socials.instagram });
+    }
+    if (site.socials?.linkedin) profiles.push({ network: 'LinkedIn', url: site.socials.linkedin });
+    if (profiles.length) basics.profiles = profiles;
+    return basics;
+}
+
+function toJsonResume(config) {
+    const r = config.resume || {};
+    const resume = {
+        $schema: 'https://raw.githubusercontent.com/jsonresume/resume-schema/v1.0.0/schema.json',
+        basics: jsonResumeBasics(config.site)
+    };
+    if (r.ugcSummary) resume.basics.summary = r.ugcSummary;
+
+    resume.work = (r.experience || []).map(exp => {
+        const work = { name: creditTitle(exp), position: exp.role };
+        const period = parsePeriod(exp.period);
+        if (period) {
+            work.startDate = period.start;
+            if (period.end) work.endDate = period.end;
+        } else {
+            work.period = exp.period; // unreadable text is kept rather than dropped
+        }
+        if (exp.description) work.summary = exp.description;
+        return work;
+    });
+
+    if (r.education) {
+        const m = r.education.match(EDUCATION_PATTERN);
+        resume.education = [m ? { institution: m[3], area: m[2], studyType: m[1] } : { institution: r.education }];
+        if (m?.[4]) resume.awards = [{ title: m[4], awarder: m[3] }];
+    }
+
+    resume.meta = { version: 'v1.0.0', lastModified: new Date().toISOString() };
+    if (r.url) resume.meta.canonical = r.url;
+    return resume;
+}
+
+/* ===== IMPORT ===== */
+// JSON Resume text is one language (the export is English); a field that
+// config.json translates ({ en, es }) keeps its other languages, only `en` changes
+function keepTranslations(imported, current) {
+    if (imported === undefined || !current || typeof current !== 'object' || typeof current.en !== 'string') return imported;
+    return current.en === imported ? current : { ...current, en: imported };
+}
+
+// The current entry for an imported credit: same position, else same show and dates
+function matchingCredit(exp, i, experience = []) {
+    if (experience[i]?.show === exp.show) return experience[i];
+    return experience.find(other => other.show === exp.show && other.period === exp.period);
+}
+
+// Returns the config.json "resume" shape; `url` is kept from `current`
+// unless the JSON Resume names a canonical copy
+function fromJsonResume(json, current = {}) {
+    const resume = {};
+    const url = json.meta?.canonical || current.url;
+    if (url) resume.url = url;
+
+    resume.experience = (json.work || []).map(work => {
+        const exp = {
+            role: work.position || '',
+            show: work.name || '',
+            period: work.period || formatPeriod(work.startDate, work.endDate || null)
+        };
+        const description = work.summary || (work.highlights || []).join('; ');
+        if (description) exp.description = description;
+        return structureCredit(exp);
+    }).map((exp, i) => {
+        const previous = matchingCredit(exp, i, current.experience);
+        if (!previous) return exp;
+        const merged = { ...exp, role: keepTranslations(exp.role, previous.role) };
+        if (exp.description) merged.description = keepTranslations(exp.description, previous.description);
+        return merged;
+    });
+
+    if (json.basics?.summary) resume.ugcSummary = keepTranslations(json.basics.summary, current.ugcSummary);
+
+    const edu = json.education?.[0];
+    if (edu) {
+        let education = edu.studyType && edu.area ? `${edu.studyType} in ${edu.area} at ${edu.institution}` : edu.institution;
+        const award = json.awards?.find(a => !a.awarder || a.awarder === edu.institution);
+        if (award) education += ` — ${award.title}`;
+        resume.education = keepTranslations(education, current.education);
+    }
+    return resume;
+}
+
+function downloadJsonResume(config) {
+    const name = (config.site?.author || 'resume').toLowerCase().replace(/[^a-z0-9]+/g, '-');
+    downloadTextFile(`${name}-resume.json`, JSON.stringify(toJsonResume(config), null, 2), 'application/json');
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        parsePeriod, formatPeriod, periodRange, resumeTimeline, resumeTotals, formatDuration,
+        parseShow, structureCredit, creditTitle, toJsonResume, fromJsonResume
+    };
+}
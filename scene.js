@@ -116,15 +116,17 @@ export class World {
     }
 
     // ===================== SKY DOME =====================
+    // Gradient colors come from the active theme (theme.js), Aero Day without it
     createSky() {
+        const sky = window.activeTheme?.().sky || { top: 0x87CEEB, mid: 0xB8E4F9, bottom: 0xE8F6FF };
         const geo = new THREE.SphereGeometry(1400, 32, 32);
         const mat = new THREE.ShaderMaterial({
             vertexShader: skyVertexShader,
             fragmentShader: skyFragmentShader,
             uniforms: {
-                topColor:    { value: new THREE.Color(0x87CEEB) },
-                midColor:    { value: new THREE.Color(0xB8E4F9) },
-                bottomColor: { value: new THREE.Color(0xE8F6FF) },
+                topColor:    { value: new THREE.Color(sky.top) },
+                midColor:    { value: new THREE.Color(sky.mid) },
+                bottomColor: { value: new THREE.Color(sky.bottom) },
                 offset:      { value: 20 },
                 exponent:    { value: 0.45 }
             },
@@ -133,6 +135,14 @@ export class World {
         });
         this.skyMesh = new THREE.Mesh(geo, mat);
         this.scene.add(this.skyMesh);
+        window.addEventListener('themechange', (e) => this.setSkyColors(e.detail.theme.sky));
+    }
+
+    setSkyColors({ top, mid, bottom }) {
+        const uniforms = this.skyMesh.material.uniforms;
+        uniforms.topColor.value.set(top);
+        uniforms.midColor.value.set(mid);
+        uniforms.bottomColor.value.set(bottom);
     }
 
     // ===================== SPHERICAL TERRAIN =====================
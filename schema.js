@@ -0,0 +1,580 @@
+// ============================================================
+// SCHEMA.JS — config.json Schema & Validator
+// Describes every branch of the config and reports bad paths
+// before anything renders (overlay in dev, console in prod)
+// ============================================================
+
+const DRIVE_ID   = '^[A-Za-z0-9_-]{20,}$';
+const YOUTUBE_ID = '^[A-Za-z0-9_-]{11}$';
+// ISO 8601 date, optionally with a time — a VideoObject needs one (see structured-data.js)
+const UPLOAD_DATE = { type: 'string', pattern: '^\\d{4}-\\d{2}-\\d{2}(T\\d{2}:\\d{2}(:\\d{2}(\\.\\d+)?)?(Z|[+-]\\d{2}:\\d{2})?)?$' };
+// Thumbnail override: a Drive/YouTube id, an http(s) URL or a local image path
+const THUMB_REF  = '^([A-Za-z0-9_-]{11,}|https?://\\S+|[^:\\s][^:]*\\.(jpe?g|png|webp|gif|avif|JPE?G|PNG|WEBP|GIF|AVIF))$';
+
+// Structured view stats (see stats.js); legacy free text is still accepted
+const STATS = {
+    anyOf: [
+        { type: 'string' },
+        {
+            type: 'array',
+            items: {
+                type: 'object',
+                required: ['platform', 'metric', 'count'],
+                additionalProperties: false,
+                properties: {
+                    platform: { type: 'string', pattern: '^[a-z0-9-]+$' },
+                    metric:   { type: 'string', enum: ['views', 'likes', 'followers', 'plays'] },
+                    count:    { type: 'number' },
+                    approx:   { type: 'boolean' }
+                }
+            }
+        }
+    ]
+};
+
+// UI languages, one locales/<code>.json each; en is the fallback
+const LOCALES = ['en', 'es'];
+
+// Text that may be translated: a plain string, or { en, es } with en required
+function localizable(schema) {
+    return {
+        anyOf: [
+            schema,
+            {
+                type: 'object',
+                required: ['en'],
+                additionalProperties: false,
+                properties: Object.fromEntries(LOCALES.map(code => [code, schema]))
+            }
+        ]
+    };
+}
+
+const CARD_TYPES = ['youtube', 'drive', 'vimeo', 'mp4', 'hls', 'tiktok', 'instagram', 'link', 'image', 'testimonial'];
+
+// The field a card type can't render without; a list means any one of them
+const CARD_MEDIA_FIELDS = {
+    youtube:     ['youtube', 'url'],
+    drive:       ['id'],
+    vimeo:       ['vimeo', 'url'],
+    mp4:         ['src'],
+    hls:         ['src'],
+    tiktok:      ['url'],
+    instagram:   ['url'],
+    link:        ['url'],
+    image:       ['image', 'url'],
+    testimonial: ['quote']
+};
+
+const CARD_ITEM_PROPERTIES = {
+    title:        localizable({ type: 'string' }),
+    id:           { type: 'string', pattern: DRIVE_ID },
+    youtube:      { type: 'string', pattern: YOUTUBE_ID },
+    vimeo:        { type: 'string', pattern: '^[0-9]+$' },
+    src:          { type: 'string', minLength: 1 },
+    poster:       { type: 'string', pattern: THUMB_REF },
+    captions: {
+        anyOf: [
+            { type: 'string', minLength: 1 },
+            {
+                type: 'array',
+                items: {
+                    type: 'object',
+                    required: ['src'],
+                    additionalProperties: false,
+                    properties: {
+                        src:   { type: 'string', minLength: 1 },
+                        lang:  { type: 'string', minLength: 2 },
+                        label: { type: 'string' }
+                    }
+                }
+            }
+        ]
+    },
+    orientation:  { type: 'string', enum: ['vertical', 'horizontal'] },
+    url:          { type: 'string', format: 'url' },
+    thumb:        { type: 'string', pattern: THUMB_REF },
+    thumbContain: { type: 'boolean' },
+    image:        { type: 'string', minLength: 1 },
+    caption:      localizable({ type: 'string' }),
+    quote:        localizable({ type: 'string', minLength: 1 }),
+    author:       { type: 'string' },
+    role:         { type: 'string' },
+    stats:        STATS,
+    uploadDate:   UPLOAD_DATE,
+    order:        { type: 'number' }
+};
+
+// Any explicitly typed card (see cards.js) may appear in any item list;
+// one branch per type and media field, so { "type": "youtube" } alone fails
+const CARD_ITEM = {
+    type: 'object',
+    anyOf: CARD_TYPES.flatMap(cardType => (CARD_MEDIA_FIELDS[cardType] || [null]).map(field => ({
+        type: 'object',
+        required: field ? ['type', field] : ['type'],
+        additionalProperties: false,
+        properties: { type: { type: 'string', enum: [cardType] }, ...CARD_ITEM_PROPERTIES }
+    })))
+};
+
+const FEATURED_ITEM = {
+    type: 'object',
+    required: ['title', 'url'],
+    additionalProperties: false,
+    properties: {
+        title: localizable({ type: 'string', minLength: 1 }),
+        url:   { type: 'string', format: 'url' },
+        thumb: { type: 'string', pattern: THUMB_REF },
+        stats: STATS
+    }
+};
+
+const FEATURED_GROUP = {
+    type: 'object',
+    required: ['items'],
+    additionalProperties: false,
+    properties: {
+        title:       localizable({ type: 'string' }),
+        description: localizable({ type: 'string' }),
+        items:       { type: 'array', items: { anyOf: [FEATURED_ITEM, CARD_ITEM] } }
+    }
+};
+
+const INQUIRY_FIELD_NAMES = ['projectType', 'budget', 'deliverables', 'orientation', 'shootDate', 'deliveryDate'];
+
+const SECTION_RENDERERS = ['hero', 'videoRow', 'featuredRow', 'videoGrid', 'projects', 'social', 'resume', 'contact'];
+
+const CONFIG_SCHEMA = {
+    type: 'object',
+    required: ['site', 'sections', 'videos', 'featuredWork', 'resume'],
+    additionalProperties: false,
+    properties: {
+        site: {
+            type: 'object',
+            required: ['title', 'author', 'email'],
+            additionalProperties: false,
+            properties: {
+                title:       localizable({ type: 'string', minLength: 1 }),
+                description: localizable({ type: 'string' }),
+                author:      { type: 'string', minLength: 1 },
+                email:       { type: 'string', format: 'email' },
+                // Where the site is published; tools/prerender.js builds canonical URLs from it
+                url:         { type: 'string', format: 'url' },
+                socials: {
+                    type: 'object',
+                    additionalProperties: false,
+                    properties: {
+                        instagram:       { type: 'string', format: 'url' },
+                        instagramHandle: { type: 'string', pattern: '^@' },
+                        linkedin:        { type: 'string', format: 'url' }
+                    }
+                },
+                projects: {
+                    type: 'array',
+                    items: {
+                        type: 'object',
+                        required: ['name', 'url'],
+                        additionalProperties: false,
+                        properties: {
+                            name:        { type: 'string', minLength: 1 },
+                            url:         { type: 'string', format: 'url' },
+                            description: localizable({ type: 'string' }),
+                            icon:        { type: 'string', pattern: '^fa-' }
+                        }
+                    }
+                }
+            }
+        },
+        sections: {
+            type: 'array',
+            uniqueKey: 'id',
+            items: {
+                type: 'object',
+                required: ['id', 'name', 'title', 'renderer'],
+                additionalProperties: false,
+                properties: {
+                    id:       { type: 'string', pattern: '^[a-z][a-z0-9-]*$' },
+                    name:     localizable({ type: 'string', minLength: 1 }),
+                    nav:      localizable({ type: 'string', minLength: 1 }),
+                    title:    localizable({ type: 'string', minLength: 1 }),
+                    heading:  localizable({ type: 'string' }),
+                    subtitle: localizable({ type: 'string' }),
+                    renderer: { type: 'string', enum: SECTION_RENDERERS },
+                    source: {
+                        anyOf: [
+                            { type: 'string', minLength: 1 },
+                            { type: 'array', items: { type: 'string', minLength: 1 } }
+                        ]
+                    },
+                    mount:    { type: 'string' },
+                    order:    { type: 'number' },
+                    visible:  { type: 'boolean' },
+                    reach:    { type: 'boolean' }
+                }
+            }
+        },
+        videos: {
+            type: 'object',
+            required: ['ugc'],
+            additionalProperties: false,
+            properties: {
+                reels: {
+                    type: 'array',
+                    items: {
+                        type: 'object',
+                        required: ['title', 'fileId'],
+                        additionalProperties: false,
+                        properties: {
+                            type:        { type: 'string' },
+                            title:       localizable({ type: 'string', minLength: 1 }),
+                            description: localizable({ type: 'string' }),
+                            fileId:      { type: 'string', pattern: DRIVE_ID },
+                            uploadDate:  UPLOAD_DATE
+                        }
+                    }
+                },
+                ugc: {
+                    type: 'object',
+                    required: ['horizontal', 'vertical'],
+                    additionalProperties: false,
+                    properties: {
+                        horizontal: {
+                            type: 'array',
+                            items: {
+                                anyOf: [
+                                    {
+                                        type: 'object',
+                                        required: ['id'],
+                                        additionalProperties: false,
+                                        properties: {
+                                            id:           { type: 'string', pattern: DRIVE_ID },
+                                            title:        localizable({ type: 'string' }),
+                                            thumb:        { type: 'string', pattern: THUMB_REF },
+                                            thumbContain: { type: 'boolean' },
+                                            uploadDate:   UPLOAD_DATE
+                                        }
+                                    },
+                                    {
+                                        type: 'object',
+                                        required: ['youtube'],
+                                        additionalProperties: false,
+                                        properties: {
+                                            youtube:    { type: 'string', pattern: YOUTUBE_ID },
+                                            title:      localizable({ type: 'string' }),
+                                            thumb:      { type: 'string', pattern: THUMB_REF },
+                                            uploadDate: UPLOAD_DATE
+                                        }
+                                    },
+                                    CARD_ITEM
+                                ]
+                            }
+                        },
+                        vertical: {
+                            type: 'array',
+                            items: {
+                                anyOf: [
+                                    { type: 'string', pattern: DRIVE_ID },
+                                    {
+                                        type: 'object',
+                                        additionalProperties: false,
+                                        properties: {
+                                            id:     { type: 'string', pattern: DRIVE_ID },
+                                            fileId: { type: 'string', pattern: DRIVE_ID },
+                                            title:  localizable({ type: 'string' }),
+                                            name:   localizable({ type: 'string' }),
+                                            thumb:  { type: 'string', pattern: THUMB_REF },
+                                            order:  { type: 'number' },
+                                            uploadDate: UPLOAD_DATE
+                                        }
+                                    },
+                                    CARD_ITEM
+                                ]
+                            }
+                        }
+                    }
+                }
+            }
+        },
+        featuredWork: {
+            type: 'object',
+            additionalProperties: false,
+            properties: {
+                contentSamples: FEATURED_GROUP,
+                socialMedia:    FEATURED_GROUP,
+                agt:            FEATURED_GROUP
+            }
+        },
+        contact: {
+            type: 'object',
+            additionalProperties: false,
+            properties: {
+                transports: {
+                    type: 'array',
+                    items: {
+                        type: 'object',
+                        required: ['type'],
+                        additionalProperties: false,
+                        properties: {
+                            type:     { type: 'string', enum: ['post', 'mailto', 'eml'] },
+                            endpoint: { type: 'string', minLength: 1 },
+                            to:       { type: 'string', format: 'email' },
+                            subject:  { type: 'string' },
+                            timeout:  { type: 'number' }
+                        }
+                    }
+                },
+                inquiry: {
+                    type: 'object',
+                    additionalProperties: false,
+                    properties: {
+                        fields: {
+                            type: 'array',
+                            items: {
+                                anyOf: [
+                                    { type: 'string', enum: INQUIRY_FIELD_NAMES },
+                                    {
+                                        type: 'object',
+                                        required: ['name'],
+                                        additionalProperties: false,
+                                        properties: {
+                                            name:     { type: 'string', enum: INQUIRY_FIELD_NAMES },
+                                            label:    { type: 'string', minLength: 1 },
+                                            options:  { type: 'array', items: { type: 'string', minLength: 1 } },
+                                            required: { type: 'boolean' }
+                                        }
+                                    }
+                                ]
+                            }
+                        }
+                    }
+                },
+                limits: {
+                    type: 'object',
+                    additionalProperties: false,
+                    properties: {
+                        minSeconds: { type: 'number' },
+                        maxPerHour: { type: 'number' }
+                    }
+                }
+            }
+        },
+        resume: {
+            type: 'object',
+            additionalProperties: false,
+            properties: {
+                url: { type: 'string', format: 'url' },
+                experience: {
+                    type: 'array',
+                    items: {
+                        type: 'object',
+                        required: ['role', 'show', 'period'],
+                        additionalProperties: false,
+                        properties: {
+                            role:         localizable({ type: 'string', minLength: 1 }),
+                            roleCategory: { type: 'string', minLength: 1 },
+                            show:         { type: 'string', minLength: 1 },
+                            seasons:      { type: 'array', items: { type: 'number' } },
+                            network:      { type: 'string', minLength: 1 },
+                            period:       { type: 'string', minLength: 1 },
+                            description:  localizable({ type: 'string' })
+                        }
+                    }
+                },
+                ugcSummary: localizable({ type: 'string' }),
+                education:  localizable({ type: 'string' })
+            }
+        },
+        analytics: {
+            type: 'object',
+            additionalProperties: false,
+            properties: {
+                sinks: {
+                    type: 'array',
+                    items: {
+                        type: 'object',
+                        required: ['type'],
+                        additionalProperties: false,
+                        properties: {
+                            type:     { type: 'string', enum: ['console', 'localStorage', 'beacon'] },
+                            endpoint: { type: 'string', minLength: 1 },
+                            size:     { type: 'number' }
+                        }
+                    }
+                }
+            }
+        }
+    }
+};
+
+/* ===== VALIDATOR ===== */
+const SCHEMA_FORMATS = {
+    url:   /^https?:\/\/[^\s]+$/,
+    email: /^[^\s@]+@[^\s@]+\.[^\s@]+$/
+};
+
+function schemaTypeOf(value) {
+    if (Array.isArray(value)) return 'array';
+    if (value === null) return 'null';
+    return typeof value;
+}
+
+function joinSchemaPath(path, key) {
+    if (typeof key === 'number') return `${path}[${key}]`;
+    return path ? `${path}.${key}` : key;
+}
+
+// Returns [{ path, message }] — an empty array means the value is valid
+function validateConfig(value, schema = CONFIG_SCHEMA, path = '') {
+    const errors = [];
+    const at = path || '(root)';
+
+    if (schema.anyOf) {
+        const attempts = schema.anyOf.map(branch => validateConfig(value, branch, path));
+        if (attempts.some(a => a.length === 0)) return errors;
+        // Report against the branch whose type matches, so the reason is specific;
+        // among object branches, one that accepts the item's own "type" key (cards) wins
+        const typePath = joinSchemaPath(path, 'type');
+        const typeMismatch = found => (found.some(e => e.path === typePath) ? 1 : 0);
+        const sameType = attempts
+            .filter((_, i) => schema.anyOf[i].type === schemaTypeOf(value))
+            .sort((a, b) => typeMismatch(a) - typeMismatch(b) || a.length - b.length);
+        if (sameType.length) return sameType[0];
+        const allowed = [...new Set(schema.anyOf.map(b => b.type))].join(' or ');
+        errors.push({ path: at, message: `expected ${allowed}, got ${schemaTypeOf(value)}` });
+        return errors;
+    }
+
+    const actual = schemaTypeOf(value);
+    if (schema.type && actual !== schema.type) {
+        errors.push({ path: at, message: `expected ${schema.type}, got ${actual}` });
+        return errors;
+    }
+
+    if (actual === 'string') {
+        if (schema.minLength && value.trim().length < schema.minLength) {
+            errors.push({ path: at, message: 'must not be empty' });
+        }
+        if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+            errors.push({ path: at, message: `"${value}" does not match ${schema.pattern}` });
+        }
+        if (schema.format && SCHEMA_FORMATS[schema.format] && !SCHEMA_FORMATS[schema.format].test(value)) {
+            errors.push({ path: at, message: `"${value}" is not a valid ${schema.format}` });
+        }
+        if (schema.enum && !schema.enum.includes(value)) {
+            errors.push({ path: at, message: `must be one of ${schema.enum.join(', ')}` });
+        }
+    }
+
+    if (actual === 'array' && schema.items) {
+        value.forEach((item, i) => {
+            errors.push(...validateConfig(item, schema.items, joinSchemaPath(path, i)));
+        });
+    }
+
+    if (actual === 'array' && schema.uniqueKey) {
+        const seen = new Map();
+        value.forEach((item, i) => {
+            const key = item && item[schema.uniqueKey];
+            if (key === undefined) return;
+            if (seen.has(key)) {
+                errors.push({
+                    path: joinSchemaPath(joinSchemaPath(path, i), schema.uniqueKey),
+                    message: `duplicates ${joinSchemaPath(path, seen.get(key))} ("${key}")`
+                });
+            } else {
+                seen.set(key, i);
+            }
+        });
+    }
+
+    if (actual === 'object') {
+        const props = schema.properties || {};
+        (schema.required || []).forEach(key => {
+            if (value[key] === undefined) {
+                errors.push({ path: joinSchemaPath(path, key), message: 'is required but missing' });
+            }
+        });
+        Object.keys(value).forEach(key => {
+            if (props[key]) {
+                errors.push(...validateConfig(value[key], props[key], joinSchemaPath(path, key)));
+            } else if (schema.additionalProperties === false) {
+                errors.push({ path: joinSchemaPath(path, key), message: 'is not a known key (typo?)' });
+            }
+        });
+    }
+
+    return errors;
+}
+
+/* ===== LOCALISATION ===== */
+function isLocalizedText(value) {
+    return schemaTypeOf(value) === 'object' && typeof value.en === 'string'
+        && Object.keys(value).every(key => LOCALES.includes(key));
+}
+
+// Copy of the config with every { en, es } text collapsed to one
+// locale; a missing translation falls back to en
+function localizeConfig(value, locale = 'en') {
+    if (Array.isArray(value)) return value.map(item => localizeConfig(item, locale));
+    if (schemaTypeOf(value) !== 'object') return value;
+    if (isLocalizedText(value)) return value[locale] || value.en;
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, localizeConfig(item, locale)]));
+}
+
+// config.json as kept in the repo: 2-space indent, non-ASCII as \u
+// escapes, no trailing newline — so an edit's diff is only the edit
+function serializeConfig(config) {
+    return JSON.stringify(config, null, 2)
+        .replace(/[\u0080-\uffff]/g, ch => `\\u${ch.charCodeAt(0).toString(16).padStart(4, '0')}`);
+}
+
+/* ===== REPORTING ===== */
+function isDevHost() {
+    const host = window.location.hostname;
+    return host === 'localhost' || host === '127.0.0.1' || host === ''
+        || new URLSearchParams(window.location.search).has('debug');
+}
+
+function reportConfigErrors(errors) {
+    if (!errors.length) return;
+
+    if (!isDevHost()) {
+        const summary = errors.slice(0, 5).map(e => `${e.path} ${e.message}`).join('; ');
+        const more = errors.length > 5 ? ` (+${errors.length - 5} more)` : '';
+        console.warn(`[Config] ${errors.length} problem(s): ${summary}${more}`);
+        return;
+    }
+
+    document.querySelector('.config-report')?.remove();
+    const report = document.createElement('div');
+    report.className = 'config-report';
+    report.setAttribute('role', 'alertdialog');
+
+    const header = document.createElement('div');
+    header.className = 'config-report-header';
+    const title = document.createElement('span');
+    title.textContent = `config.json — ${errors.length} problem${errors.length === 1 ? '' : 's'}`;
+    const close = document.createElement('button');
+    close.type = 'button';
+    close.title = 'Dismiss';
+    close.textContent = '×';
+    close.addEventListener('click', () => report.remove());
+    header.append(title, close);
+
+    const list = document.createElement('ul');
+    errors.forEach(e => {
+        const li = document.createElement('li');
+        const code = document.createElement('code');
+        code.textContent = e.path;
+        li.append(code, ' ' + e.message);
+        list.appendChild(li);
+    });
+
+    report.append(header, list);
+    document.body.appendChild(report);
+    console.table(errors);
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { CONFIG_SCHEMA, CARD_TYPES, LOCALES, validateConfig, localizeConfig, serializeConfig };
+}
@@ -1,17 +1,27 @@
 document.addEventListener('DOMContentLoaded', () => {
+    initTheme();
+    registerServiceWorker();
+    initImageFallbacks();
     initClickSound();
-    initContactForm();
-    fetch('config.json')
-        .then(r => r.json())
-        .then(config => {
-            renderDirecting(config);
-            renderNetworkSegments(config);
-            renderClientele(config);
-            renderUGC(config);
-            renderProjects(config);
-            renderSocial(config);
-            renderResume(config);
-            renderContact(config);
+    Promise.all([fetch('config.json').then(r => r.json()), loadSocialManifest(), loadLocale()])
+        .then(([rawConfig]) => {
+            reportConfigErrors([...validateConfig(rawConfig), ...checkSectionSources(rawConfig)]);
+            // Everything below sees plain strings in the visitor's language
+            const config = localizeConfig(rawConfig, currentLocale);
+            const sections = getSections(config);
+            applyStaticStrings();
+            initLanguageSwitcher();
+            initThemeSwitcher();
+            // Prerendered markup from the same config is kept; anything else is rebuilt
+            if (!isPrerendered(config)) {
+                buildSectionPanels(sections, config);
+                buildNavigation(sections);
+            }
+            hydrateSections(config, sections);
+            initPrintSheet(config);
+            injectStructuredData(config);
+            initAnalytics(config);
+            initContactForm(config);
             initModal();
             initHamburger();
             initMinimizeRestore();
@@ -21,12 +31,28 @@ document.addEventListener('DOMContentLoaded', () => {
                 initScrollAnimations();
             }
             initScrollProgress();
+            initEditor();
             // Signal that content is ready for the 3D system
-            window.dispatchEvent(new Event('contentReady'));
+            window.dispatchEvent(new CustomEvent('contentReady', { detail: { sections } }));
         })
-        .catch(err => console.error('Failed to load config:', err));
+        .catch(err => {
+            console.error('Failed to load config:', err);
+            reportConfigErrors([{ path: 'config.json', message: err.message }]);
+            window.dispatchEvent(new CustomEvent('contentReady', { detail: { sections: [] } }));
+        });
 });
 
+/* ===== SERVICE WORKER ===== */
+// Off on dev hosts so edits aren't served stale from cache; add ?sw to test it there
+function registerServiceWorker() {
+    if (!('serviceWorker' in navigator) || !window.location.protocol.startsWith('http')) return;
+    if (isDevHost() && !new URLSearchParams(window.location.search).has('sw')) return;
+    window.addEventListener('load', () => {
+        navigator.serviceWorker.register('sw.js')
+            .catch(err => console.warn('[SW] Registration failed:', err));
+    });
+}
+
 /* ===== CLICK SOUND EFFECT ===== */
 function initClickSound() {
     const audioCtx = new (window.AudioContext || window.webkitAudioContext)();
@@ -46,32 +72,13 @@ function initClickSound() {
         } catch(e) {}
     }
     document.addEventListener('click', (e) => {
-        if (e.target.closest('.btn, .scroll-btn, .nav-link, .video-card, .featured-card, .social-card, .project-card, .follow-btn, .hamburger, .close, .footer-links a, .portfolio-links a, .resume-header-link a')) {
+        if (e.target.closest('.btn, .scroll-btn, .nav-link, .video-card, .featured-card, .social-card, .project-card, .follow-btn, .hamburger, .close, .footer-links a, .portfolio-links a, .resume-header-link a, .resume-header-link button')) {
             if (audioCtx.state === 'suspended') audioCtx.resume();
             playClick();
         }
     });
 }
 
-/* ===== CONTACT FORM ===== */
-function initContactForm() {
-    const form = document.getElementById('contactForm');
-    if (!form) return;
-    form.addEventListener('submit', (e) => {
-        e.preventDefault();
-        const btn = form.querySelector('button[type="submit"]');
-        if (btn) {
-            btn.textContent = 'Message Sent!';
-            btn.style.background = 'linear-gradient(135deg, #43a047, #66bb6a)';
-            setTimeout(() => {
-                btn.textContent = 'Send Message';
-                btn.style.background = '';
-                form.reset();
-            }, 3000);
-        }
-    });
-}
-
 /* ===== 3D DODECAHEDRON SCROLL PROGRESS (Canvas) ===== */
 function initScrollProgress() {
     const canvas = document.getElementById('dodecaCanvas');
@@ -108,13 +115,14 @@ function initScrollProgress() {
         [4,10, 5,13,12],     [5,10,11, 6,19],    [6,11, 7,15,14]
     ];
 
-    // Face colors: red, yellow, green, blue, pink
-    const faceColors = [
-        [220,38,38],   [250,204,21],  [74,222,128],
-        [59,130,246],  [244,114,182], [220,38,38],
-        [250,204,21],  [74,222,128],  [59,130,246],
-        [244,114,182], [220,38,38],   [250,204,21]
-    ];
+    // Face and edge colors come from the theme (Aero Day: red, yellow, green, blue, pink)
+    let faceColors, edgeColor;
+    function usePalette({ faces: colors, edge }) {
+        faceColors = faces.map((_, i) => colors[i % colors.length]);
+        edgeColor = `rgba(${edge.join(',')},0.3)`;
+    }
+    usePalette(activeTheme().progress);
+    window.addEventListener('themechange', (e) => usePalette(e.detail.theme.progress));
 
     // Rotation matrices
     function rotX(v, a) {
@@ -206,7 +214,7 @@ function initScrollProgress() {
             const b2 = Math.round(col[2] * brightness);
             ctx.fillStyle = `rgba(${r},${g},${b2},0.82)`;
             ctx.fill();
-            ctx.strokeStyle = `rgba(66,165,245,0.3)`;
+            ctx.strokeStyle = edgeColor;
             ctx.lineWidth = 0.5;
             ctx.stroke();
         }
@@ -243,6 +251,9 @@ function initScrollProgress() {
 }
 
 /* ===== SCROLL ANIMATIONS (Intersection Observer) ===== */
+// Set by initScrollAnimations: starts the observers on animated elements under root
+let observeScrollAnimations = () => {};
+
 function initScrollAnimations() {
     // Track scroll direction
     let lastScrollY = window.scrollY;
@@ -269,10 +280,7 @@ function initScrollAnimations() {
         });
     }, { threshold: 0.1, rootMargin: '0px 0px -40px 0px' });
 
-    document.querySelectorAll('.anim-fade-up, .anim-stagger').forEach(el => observer.observe(el));
-
     // UGC row-by-row observer: each row animates individually with stagger delay
-    const ugcRows = document.querySelectorAll('.ugc-row');
     const rowDelay = 0.12; // seconds between rows
 
     const ugcObserver = new IntersectionObserver((entries) => {
@@ -287,7 +295,7 @@ function initScrollAnimations() {
                 }
 
                 // Determine row index & direction-aware delay
-                const allRows = Array.from(ugcRows);
+                const allRows = Array.from(document.querySelectorAll('.ugc-row'));
                 const idx = allRows.indexOf(entry.target);
 
                 // Find which rows are currently NOT visible to calculate relative order
@@ -306,8 +314,6 @@ function initScrollAnimations() {
         });
     }, { threshold: 0.05, rootMargin: '0px 0px -20px 0px' });
 
-    ugcRows.forEach(row => ugcObserver.observe(row));
-
     // Observe scroll rows for 3D grow animation
     const rowObserver = new IntersectionObserver((entries) => {
         entries.forEach(entry => {
@@ -318,17 +324,36 @@ function initScrollAnimations() {
             }
         });
     }, { threshold: 0.05, rootMargin: '0px 0px -20px 0px' });
-    document.querySelectorAll('.scroll-row').forEach(el => rowObserver.observe(el));
+
+    // Observing an element twice is a no-op, so re-running this on a refreshed section is safe
+    observeScrollAnimations = (root) => {
+        root.querySelectorAll('.anim-fade-up, .anim-stagger').forEach(el => observer.observe(el));
+        root.querySelectorAll('.ugc-row').forEach(row => ugcObserver.observe(row));
+        root.querySelectorAll('.scroll-row').forEach(el => rowObserver.observe(el));
+    };
+    observeScrollAnimations(document);
+}
+
+// Scroll arrows and reveal animations for markup re-rendered after startup (the ?edit preview)
+function initSectionBehaviors(root) {
+    initScrollButtons(root);
+    observeScrollAnimations(root);
 }
 
 /* ===== SCROLL BUTTONS ===== */
-function initScrollButtons() {
-    document.querySelectorAll('.scroll-row-wrap').forEach(wrap => {
+function initScrollButtons(root = document) {
+    root.querySelectorAll('.scroll-row-wrap').forEach(wrap => {
         const row = wrap.querySelector('.scroll-row');
         const leftBtn = wrap.querySelector('.scroll-left');
         const rightBtn = wrap.querySelector('.scroll-right');
         if (!row) return;
 
+        // Prevent native image dragging — cards a refresh put in the row need it too
+        row.querySelectorAll('img, a').forEach(el => el.setAttribute('draggable', 'false'));
+        // The row element outlives a refresh of its cards, so bind it only once
+        if (row.dataset.scrollBound) return;
+        row.dataset.scrollBound = 'true';
+
         // Arrow button click → scroll by half the visible width
         const getScrollAmt = () => Math.max(200, row.clientWidth * 0.5);
 
@@ -393,363 +418,197 @@ function initScrollButtons() {
                 moved = false;
             }
         }, true);
-
-        // Prevent native image dragging
-        row.querySelectorAll('img').forEach(img => img.setAttribute('draggable', 'false'));
-        row.querySelectorAll('a').forEach(a => a.setAttribute('draggable', 'false'));
-    });
-}
-
-/* ===== FEATURED WORK HELPERS ===== */
-function extractYouTubeId(url) {
-    let m = url.match(/(?:youtube\.com\/(?:watch\?v=|shorts\/)|youtu\.be\/)([a-zA-Z0-9_-]{11})/);
-    return m ? m[1] : null;
-}
-
-function getPlatformIcon(url) {
-    if (url.includes('youtube.com') || url.includes('youtu.be')) return 'fa-brands fa-youtube';
-    if (url.includes('tiktok.com')) return 'fa-brands fa-tiktok';
-    if (url.includes('instagram.com')) return 'fa-brands fa-instagram';
-    return 'fa-solid fa-play';
-}
-
-function getPlatformLabel(url) {
-    if (url.includes('youtube.com') || url.includes('youtu.be')) return 'YouTube';
-    if (url.includes('tiktok.com')) return 'TikTok';
-    if (url.includes('instagram.com')) return 'Instagram';
-    return 'Watch';
-}
-
-function buildFeaturedCard(item) {
-    const ytId = extractYouTubeId(item.url);
-    let thumbHtml;
-    let socialDataAttr = '';
-    if (ytId) {
-        thumbHtml = `<img src="https://img.youtube.com/vi/${ytId}/hqdefault.jpg" alt="${item.title}" loading="lazy"
-            onerror="this.src='https://img.youtube.com/vi/${ytId}/mqdefault.jpg'">`;
-    } else if (item.url.includes('tiktok.com')) {
-        const icon = getPlatformIcon(item.url);
-        thumbHtml = `<div class="thumb-placeholder"><i class="${icon}"></i></div>`;
-        socialDataAttr = ` data-tiktok-url="${item.url}"`;
-    } else if (item.url.includes('instagram.com')) {
-        const icon = getPlatformIcon(item.url);
-        thumbHtml = `<div class="thumb-placeholder"><i class="${icon}"></i></div>`;
-        socialDataAttr = ` data-instagram-url="${item.url}"`;
-    } else {
-        const icon = getPlatformIcon(item.url);
-        thumbHtml = `<div class="thumb-placeholder"><i class="${icon}"></i></div>`;
-    }
-
-    const statsHtml = item.stats
-        ? `<div class="stats"><i class="fas fa-eye"></i> ${item.stats}</div>`
-        : `<div class="stats"><i class="${getPlatformIcon(item.url)}"></i> ${getPlatformLabel(item.url)}</div>`;
-
-    // YouTube videos open in modal; others open externally
-    if (ytId) {
-        const isShort = /\/shorts\//.test(item.url);
-        const videoSrc = `https://www.youtube.com/embed/${ytId}?autoplay=1&playsinline=1&rel=0`;
-        return `
-        <div class="featured-card" data-yt-id="${ytId}" data-video-src="${videoSrc}" data-orientation="${isShort ? 'vertical' : 'horizontal'}" style="cursor:pointer">
-            <div class="thumb-wrap">
-                ${thumbHtml}
-                <div class="play-overlay"><i class="fas fa-play-circle"></i></div>
-            </div>
-            <div class="card-info">
-                <h4>${item.title}</h4>
-                ${statsHtml}
-            </div>
-        </div>`;
-    }
-
-    return `
-        <a href="${item.url}" target="_blank" rel="noopener" class="featured-card"${socialDataAttr}>
-            <div class="thumb-wrap">
-                ${thumbHtml}
-                <div class="play-overlay"><i class="fas fa-external-link-alt"></i></div>
-            </div>
-            <div class="card-info">
-                <h4>${item.title}</h4>
-                ${statsHtml}
-            </div>
-        </a>`;
-}
-
-/* ===== 1. CONTENT SAMPLES 16:9 (Horizontal UGC) ===== */
-function renderDirecting(config) {
-    const grid = document.getElementById('horizontalGrid');
-    if (!grid || !config.videos?.ugc?.horizontal) return;
-    let html = config.videos.ugc.horizontal.map(item => createHorizontalCard(item)).join('');
-    // Append Instagram content sample reels (featured card format)
-    if (config.featuredWork?.contentSamples?.items) {
-        html += config.featuredWork.contentSamples.items.map(buildFeaturedCard).join('');
-    }
-    grid.innerHTML = html;
-}
-
-function createHorizontalCard(item) {
-    const isYT = (typeof item === 'object' && item.youtube);
-    const id = isYT ? item.youtube : (typeof item === 'string' ? item : item.id);
-    const title = typeof item === 'string' ? '' : (item.title || '');
-    const hasCustomThumb = (typeof item === 'object' && item.thumb);
-    const thumbId = hasCustomThumb ? item.thumb : id;
-    const thumbUrl = isYT
-        ? `https://img.youtube.com/vi/${id}/maxresdefault.jpg`
-        : `https://drive.google.com/thumbnail?id=${thumbId}&sz=w640`;
-    const fallbackUrl = isYT
-        ? `https://img.youtube.com/vi/${id}/hqdefault.jpg`
-        : `https://lh3.googleusercontent.com/d/${thumbId}=w640`;
-    const thumbClass = (typeof item === 'object' && item.thumbContain) ? 'thumb logo-thumb' : 'thumb';
-    const dataAttr = isYT ? `data-yt-id="${id}"` : `data-id="${id}"`;
-    const videoSrc = isYT
-        ? `https://www.youtube.com/embed/${id}?autoplay=1&playsinline=1&rel=0`
-        : `https://drive.google.com/file/d/${id}/preview`;
-    return `
-        <div class="video-card horizontal h-scroll-card" ${dataAttr} data-video-src="${videoSrc}" data-orientation="horizontal">
-            <div class="thumb-wrap">
-                <img class="${thumbClass}" src="${thumbUrl}" alt="${title}" loading="lazy"
-                     onerror="if(!this.dataset.retry){this.dataset.retry='1';this.src='${fallbackUrl}'}else{this.outerHTML='<div class=\\'thumb-placeholder\\'><i class=\\'fas fa-video\\'></i><span>${title}</span></div>'}">
-                <div class="play-overlay"><i class="fas fa-play-circle"></i></div>
-            </div>
-            ${title ? `<div class="card-title">${title}</div>` : ''}
-        </div>`;
-}
-
-/* ===== 2. NETWORK SEGMENTS (AGT) ===== */
-function renderNetworkSegments(config) {
-    const row = document.getElementById('networkRow');
-    if (!row || !config.featuredWork?.agt) return;
-    row.innerHTML = config.featuredWork.agt.items.map(buildFeaturedCard).join('');
-}
-
-/* ===== 3. SOCIAL MEDIA CLIENTELE ===== */
-function renderClientele(config) {
-    const row = document.getElementById('clienteleRow');
-    if (!row || !config.featuredWork?.socialMedia) return;
-    row.innerHTML = config.featuredWork.socialMedia.items.map(buildFeaturedCard).join('');
-    fetchSocialThumbnails();
-}
-
-function fetchSocialThumbnails() {
-    // TikTok oEmbed – public, CORS-friendly
-    document.querySelectorAll('.featured-card[data-tiktok-url]').forEach(async card => {
-        try {
-            const url = card.dataset.tiktokUrl;
-            const resp = await fetch(`https://www.tiktok.com/oembed?url=${encodeURIComponent(url)}`);
-            const data = await resp.json();
-            if (data.thumbnail_url) {
-                const ph = card.querySelector('.thumb-placeholder');
-                if (ph) ph.outerHTML = `<img src="${data.thumbnail_url}" alt="" loading="lazy" style="width:100%;height:100%;object-fit:cover">`;
-            }
-        } catch(e) { /* keep placeholder */ }
     });
-    // Instagram oEmbed is blocked by CORS from static sites – skip fetch, keep icon placeholders
-}
-
-/* ===== 4. UGC VIDEOS (Vertical) ===== */
-function createVideoCard(item, orientation) {
-    const id = typeof item === 'string' ? item : item.id;
-    const title = typeof item === 'string' ? '' : (item.title || '');
-    const thumbUrl = `https://drive.google.com/thumbnail?id=${id}&sz=w800`;
-    const fallbackUrl = `https://lh3.googleusercontent.com/d/${id}=w800`;
-    const videoSrc = `https://drive.google.com/file/d/${id}/preview`;
-    return `
-        <div class="video-card ${orientation}" data-id="${id}" data-video-src="${videoSrc}" data-orientation="${orientation}">
-            <div class="thumb-wrap">
-                <img class="thumb" src="${thumbUrl}" alt="${title}" loading="lazy"
-                     onerror="if(!this.dataset.retry){this.dataset.retry='1';this.src='${fallbackUrl}'}else{this.outerHTML='<div class=\\'thumb-placeholder\\'><i class=\\'fas fa-video\\'></i><span>${title}</span></div>'}">
-                <div class="play-overlay"><i class="fas fa-play-circle"></i></div>
-            </div>
-            ${title ? `<div class="card-title">${title}</div>` : ''}
-        </div>`;
-}
-
-function normalizeUGCItems(items) {
-    return items
-        .map((rawItem, index) => {
-            if (typeof rawItem === 'string') {
-                const id = rawItem.trim();
-                if (!id) return null;
-                return {
-                    id,
-                    title: `UGC Project ${index + 1}`,
-                    order: index,
-                    originalIndex: index
-                };
-            }
-
-            if (!rawItem || typeof rawItem !== 'object') return null;
-
-            const id = String(rawItem.id || rawItem.fileId || '').trim();
-            if (!id) return null;
-
-            const fallbackTitle = `UGC Project ${index + 1}`;
-            const title = String(rawItem.title || rawItem.name || '').trim() || fallbackTitle;
-            const parsedOrder = Number(rawItem.order);
-            const order = Number.isFinite(parsedOrder) ? parsedOrder : index;
-
-            return {
-                ...rawItem,
-                id,
-                title,
-                order,
-                originalIndex: index
-            };
-        })
-        .filter(Boolean)
-        .sort((a, b) => {
-            if (a.order !== b.order) return a.order - b.order;
-            return a.originalIndex - b.originalIndex;
-        });
 }
 
-function renderUGC(config) {
-    const vGrid = document.getElementById('verticalGrid');
-    if (!vGrid || !config.videos?.ugc?.vertical) return;
-    const items = normalizeUGCItems(config.videos.ugc.vertical);
-
-    if (!items.length) {
-        vGrid.innerHTML = '<p class="ugc-empty">UGC content is being updated. Please check back shortly.</p>';
-        return;
-    }
-
-    // Group cards into rows of 6 that animate together
-    const batchSize = 6;
-    let html = '';
-    for (let i = 0; i < items.length; i += batchSize) {
-        const rowCards = items.slice(i, i + batchSize);
-        html += '<div class="ugc-row">';
-        html += rowCards.map(item => createVideoCard(item, 'vertical')).join('');
-        html += '</div>';
-    }
-    vGrid.innerHTML = html;
-}
-
-/* ===== PROJECTS ===== */
-function renderProjects(config) {
-    const grid = document.getElementById('projectsGrid');
-    if (!grid || !config.site?.projects) return;
-    grid.innerHTML = config.site.projects.map(p => `
-        <a href="${p.url}" target="_blank" rel="noopener" class="project-card">
-            <div class="project-bg"><i class="fas ${p.icon}"></i></div>
-            <h3>${p.name}</h3>
-            <p>${p.description}</p>
-            <span class="project-link"><i class="fas fa-arrow-right"></i> Visit</span>
-        </a>
-    `).join('');
-}
-
-/* ===== SOCIAL ===== */
-function renderSocial(config) {
-    const grid = document.getElementById('socialGrid');
-    if (!grid || !config.site?.socials) return;
-    const s = config.site.socials;
-    let cards = '';
-    if (s.instagram) {
-        cards += `
-        <a href="${s.instagram}" target="_blank" rel="noopener" class="social-card">
-            <i class="fab fa-instagram"></i>
-            <h3>Instagram</h3>
-            <p>${s.instagramHandle || '@zac_stern'}</p>
-            <span class="follow-btn">Follow</span>
-        </a>`;
-    }
-    if (s.linkedin) {
-        cards += `
-        <a href="${s.linkedin}" target="_blank" rel="noopener" class="social-card">
-            <i class="fab fa-linkedin"></i>
-            <h3>LinkedIn</h3>
-            <p>Professional Profile</p>
-            <span class="follow-btn">Connect</span>
-        </a>`;
-    }
-    grid.innerHTML = cards;
-}
-
-/* ===== RESUME ===== */
-function renderResume(config) {
-    const container = document.getElementById('resumeContainer');
-    if (!container || !config.resume) return;
-    const r = config.resume;
-    let html = '';
-    if (r.experience && r.experience.length) {
-        html += '<div class="resume-timeline">';
-        r.experience.forEach(exp => {
-            html += `<div class="resume-item"><div class="role">${exp.role}</div><div class="show">${exp.show}</div><div class="period">${exp.period}</div><div class="desc">${exp.description}</div></div>`;
-        });
-        html += '</div>';
-    }
-    if (r.ugcSummary) {
-        html += `<div class="resume-ugc"><h4><i class="fas fa-camera"></i> UGC Creator</h4><p>${r.ugcSummary}</p></div>`;
-    }
-    if (r.education) {
-        html += `<div class="resume-education"><h4><i class="fas fa-graduation-cap"></i> Education</h4><p>${r.education}</p></div>`;
-    }
-    container.innerHTML = html;
-}
-
-/* ===== CONTACT ===== */
-function renderContact(config) {
-    const info = document.getElementById('contactInfo');
-    if (!info || !config.site) return;
-    const s = config.site;
-    let html = '';
-    if (s.email) {
-        html += `<div class="contact-item"><i class="fas fa-envelope"></i><div><h3>Email</h3><a href="mailto:${s.email}">${s.email}</a></div></div>`;
-    }
-    if (s.socials?.instagram) {
-        html += `<div class="contact-item"><i class="fab fa-instagram"></i><div><h3>Instagram</h3><a href="${s.socials.instagram}" target="_blank">${s.socials.instagramHandle || '@zac_stern'}</a></div></div>`;
-    }
-    if (s.socials?.linkedin) {
-        html += `<div class="contact-item"><i class="fab fa-linkedin"></i><div><h3>LinkedIn</h3><a href="${s.socials.linkedin}" target="_blank">Zac Stern</a></div></div>`;
-    }
-    info.innerHTML = html;
-}
 
 /* ===== VIDEO MODAL ===== */
 function initModal() {
     const modal = document.getElementById('videoModal');
     const iframe = document.getElementById('modalIframe');
+    const video = document.getElementById('modalVideo');
+    const unmute = document.getElementById('modalUnmute');
     const modalContent = document.getElementById('modalContent');
     const closeBtn = document.getElementById('modalClose');
+    const nav = document.getElementById('modalNav');
+    const counter = document.getElementById('modalCounter');
     if (!modal || !iframe) return;
 
-    function openModal(src, orientation = 'horizontal') {
-        iframe.src = src;
+    // Cards of the section the open video came from, in rendered order
+    let playlist = [];
+    let current = -1;
+    // The open video and when it started, for video_dwell
+    let watching = null;
+
+    if (video) initVideoPositionTracking(video);
+    unmute?.addEventListener('click', () => {
+        video.muted = false;
+        unmute.hidden = true;
+    });
+
+    // media: { src, player, poster, captions } — mp4/hls play natively, the rest in the iframe
+    function openModal(media, orientation = 'horizontal') {
+        const native = video && (media.player === 'mp4' || media.player === 'hls');
+        if (unmute) unmute.hidden = true;
+        if (native) {
+            iframe.src = '';
+            iframe.hidden = true;
+            video.hidden = false;
+            playNativeVideo(video, { ...media, type: media.player }, { onMuted: () => { if (unmute) unmute.hidden = false; } });
+        } else {
+            if (video) {
+                stopNativeVideo(video);
+                video.hidden = true;
+            }
+            iframe.hidden = false;
+            iframe.src = media.src;
+        }
         modalContent.className = 'modal-content ' + (orientation === 'vertical' ? 'modal-vertical' : 'modal-horizontal');
         modal.style.display = 'block';
         document.body.style.overflow = 'hidden';
     }
 
+    function endDwell() {
+        if (!watching) return;
+        track('video_dwell', { ...watching.props, seconds: Math.round((Date.now() - watching.since) / 1000) });
+        watching = null;
+    }
+
     function closeModal() {
+        endDwell();
         modal.style.display = 'none';
         iframe.src = '';
+        if (video) stopNativeVideo(video);
         document.body.style.overflow = '';
+        playlist = [];
+        current = -1;
+        clearVideoLink();
+    }
+
+    function isOpen() {
+        return modal.style.display === 'block';
+    }
+
+    function openCard(card) {
+        const src = safeUrl(card.dataset.videoSrc, '');
+        if (!src) return false;
+        const orient = card.dataset.orientation === 'vertical' ? 'vertical' : 'horizontal';
+        openModal({
+            src,
+            player: card.dataset.player,
+            poster: card.dataset.poster,
+            captions: card.dataset.captions ? JSON.parse(card.dataset.captions) : []
+        }, orient);
+        setVideoLink(card);
+
+        const panel = card.closest('.section-panel');
+        const props = { section: panel?.dataset.section, video: getCardVideoId(card) };
+        endDwell();
+        track('video_open', { ...props, player: card.dataset.player, orientation: orient });
+        watching = { props, since: Date.now() };
+
+        playlist = panel ? Array.from(panel.querySelectorAll('[data-video-src]')) : [card];
+        current = playlist.indexOf(card);
+        if (nav) nav.hidden = playlist.length < 2;
+        if (counter) counter.textContent = `${current + 1} / ${playlist.length}`;
+        return true;
+    }
+
+    // Wraps around at either end of the section
+    function step(delta) {
+        if (!isOpen() || playlist.length < 2) return;
+        openCard(playlist[(current + delta + playlist.length) % playlist.length]);
+    }
+
+    // #ugc/<id> or ?video=<id> scrolls to the card's section and plays it
+    function openFromLocation() {
+        const { section, video } = parseDeepLink();
+        const card = video ? findVideoCard(video, section) : null;
+        const panel = card?.closest('.section-panel')
+            || Array.from(document.querySelectorAll('.section-panel')).find(p => p.dataset.section === section);
+        if (panel) panel.scrollIntoView({ block: 'start' });
+        if (card) openCard(card);
+        else if (video) console.warn(`[DeepLink] No video "${video}"`);
     }
 
     // Single document-level delegation – works for all cards regardless of
     // when they were injected into the DOM.  No per-card binding needed.
     document.addEventListener('click', e => {
         const card = e.target.closest('[data-video-src]');
-        if (!card) return;
-        const src = card.dataset.videoSrc;
-        if (!src) return;
-        const orient = card.dataset.orientation === 'vertical' ? 'vertical' : 'horizontal';
-        console.log('[Modal] Opening:', orient, src.substring(0, 60));
+        if (!card || !openCard(card)) return;
         e.preventDefault();
         e.stopPropagation();
-        openModal(src, orient);
     });
 
-    // Global click diagnostic — helps trace click-delivery issues
-    document.addEventListener('click', e => {
-        const tag = e.target.tagName;
-        const cls = (e.target.className || '').toString().substring(0, 50);
-        console.log('[ClickAudit]', tag, cls, 'pointer-events:', getComputedStyle(e.target).pointerEvents);
-    }, true);
-
     closeBtn.addEventListener('click', closeModal);
     modal.addEventListener('click', e => { if (e.target === modal) closeModal(); });
-    document.addEventListener('keydown', e => { if (e.key === 'Escape') closeModal(); });
+    document.addEventListener('keydown', e => {
+        // Arrow keys seek when the native player has focus
+        if (e.target instanceof HTMLMediaElement && e.key !== 'Escape') return;
+        if (e.key === 'Escape') closeModal();
+        else if (e.key === 'ArrowLeft') step(-1);
+        else if (e.key === 'ArrowRight') step(1);
+    });
+
+    document.getElementById('modalPrev')?.addEventListener('click', () => step(-1));
+    document.getElementById('modalNext')?.addEventListener('click', () => step(1));
+
+    // Swipes on an iframe player go to the iframe, so this catches the frame and nav bar
+    let touchStart = null;
+    modalContent.addEventListener('touchstart', e => {
+        touchStart = { x: e.touches[0].clientX, y: e.touches[0].clientY };
+    }, { passive: true });
+    modalContent.addEventListener('touchend', e => {
+        if (!touchStart) return;
+        const dx = e.changedTouches[0].clientX - touchStart.x;
+        const dy = e.changedTouches[0].clientY - touchStart.y;
+        touchStart = null;
+        if (Math.abs(dx) > 50 && Math.abs(dx) > Math.abs(dy)) step(dx < 0 ? 1 : -1);
+    });
+
+    window.addEventListener('hashchange', openFromLocation);
+    // Leaving the page with a video open still counts its time
+    window.addEventListener('pagehide', endDwell);
+    openFromLocation();
+}
+
+/* ===== DEEP LINKS ===== */
+// #<section>/<videoId> (e.g. #ugc/1mcL064KC2...) or ?video=<videoId>;
+// a bare #<section> just scrolls, since the panels are built after load
+function parseDeepLink() {
+    const [section, ...rest] = decodeURIComponent(window.location.hash.slice(1)).split('/');
+    const video = new URLSearchParams(window.location.search).get('video') || rest.join('/');
+    return { section: section || null, video: video || null };
+}
+
+// Drive file id, YouTube/Vimeo id or self-hosted file name — whichever the card renderer exposed
+function getCardVideoId(card) {
+    return card.dataset.id || card.dataset.ytId || card.dataset.vimeoId || card.dataset.mediaId || '';
+}
+
+// The same video can sit in several sections; prefer the one the link names
+function findVideoCard(videoId, sectionId) {
+    const cards = Array.from(document.querySelectorAll('[data-video-src]'))
+        .filter(card => getCardVideoId(card) === videoId);
+    return cards.find(card => card.closest('.section-panel')?.dataset.section === sectionId)
+        || cards[0] || null;
+}
+
+function setVideoLink(card) {
+    const section = card.closest('.section-panel')?.dataset.section;
+    const id = getCardVideoId(card);
+    if (!section || !id) return;
+    const url = new URL(window.location.href);
+    url.searchParams.delete('video');
+    url.hash = `${section}/${id}`;
+    history.replaceState(null, '', url);
+}
+
+function clearVideoLink() {
+    const url = new URL(window.location.href);
+    if (!url.searchParams.has('video') && !url.hash.includes('/')) return;
+    url.searchParams.delete('video');
+    history.replaceState(null, '', url.pathname + url.search);
 }
 
 /* ===== HAMBURGER MENU ===== */
@@ -772,13 +631,13 @@ function initMinimizeRestore() {
     const minimized = new Set();
 
     const getSectionTitle = (panel) => {
-        return panel.dataset.section || panel.querySelector('.panel-inner-header-title')?.textContent?.trim() || 'Section';
+        return panel.dataset.section || panel.querySelector('.panel-inner-header-title')?.textContent?.trim() || t('nav.section');
     };
 
     const renderMenu = () => {
         menuCount.textContent = minimized.size;
         if (minimized.size === 0) {
-            menuList.innerHTML = '<div class="minimized-empty">No minimized sections</div>';
+            menuList.innerHTML = html`<div class="minimized-empty">${t('nav.noMinimized')}</div>`;
             menuList.hidden = true;
             menuButton.setAttribute('aria-expanded', 'false');
             return;
@@ -787,9 +646,9 @@ function initMinimizeRestore() {
         const items = Array.from(minimized).map(section => {
             const panel = document.querySelector(`.section-panel[data-section="${section}"]`);
             const title = panel ? getSectionTitle(panel) : section;
-            return `<button type="button" data-section="${section}">${title}</button>`;
+            return html`<button type="button" data-section="${section}">${title}</button>`;
         });
-        menuList.innerHTML = items.join('');
+        menuList.innerHTML = html`${items}`;
         menuList.querySelectorAll('button[data-section]').forEach(button => {
             button.addEventListener('click', () => {
                 const section = button.dataset.section;
@@ -0,0 +1,90 @@
+// ============================================================
+// STATS.JS — View Stats Model
+// Stats are stored as [{ platform, metric, count, approx }].
+// parseStats() turns the legacy "12.7M Views · TikTok | …" text
+// into that shape (used by tools/migrate-stats.js and for any
+// string still left in config.json).
+// ============================================================
+
+const STAT_PLATFORMS = {
+    tiktok:    { label: 'TikTok',    icon: 'fa-brands fa-tiktok' },
+    youtube:   { label: 'YouTube',   icon: 'fa-brands fa-youtube' },
+    instagram: { label: 'Instagram', icon: 'fa-brands fa-instagram' },
+    facebook:  { label: 'Facebook',  icon: 'fa-brands fa-facebook' },
+    x:         { label: 'X',         icon: 'fa-brands fa-x-twitter' }
+};
+
+const STAT_METRICS = ['views', 'likes', 'followers', 'plays'];
+
+const COUNT_UNITS = { K: 1e3, M: 1e6, B: 1e9 };
+
+// "12.7M Views · TikTok" → { platform: 'tiktok', metric: 'views', count: 12700000 }
+const STAT_SEGMENT = /^([\d.,]+)\s*([KMB])?\s*(\+)?\s*([A-Za-z]+)\s*[·•–-]\s*(.+)$/i;
+
+function statPlatformKey(name) {
+    const label = name.trim().toLowerCase();
+    const known = Object.keys(STAT_PLATFORMS).find(key => STAT_PLATFORMS[key].label.toLowerCase() === label);
+    return known || label.replace(/[^a-z0-9]+/g, '-');
+}
+
+// Returns null when any segment can't be read, so callers can keep the text
+function parseStats(text) {
+    const stats = String(text).split('|').map(segment => {
+        const m = segment.trim().match(STAT_SEGMENT);
+        if (!m) return null;
+        const count = Math.round(parseFloat(m[1].replace(/,/g, '')) * (COUNT_UNITS[(m[2] || '').toUpperCase()] || 1));
+        const stat = { platform: statPlatformKey(m[5]), metric: m[4].toLowerCase(), count };
+        if (m[3]) stat.approx = true;
+        return stat;
+    });
+    return stats.every(Boolean) && stats.length ? stats : null;
+}
+
+// Structured stats as-is; legacy text parsed on the fly ([] if unreadable)
+function normalizeStats(stats) {
+    if (Array.isArray(stats)) return stats;
+    if (typeof stats === 'string') return parseStats(stats) || [];
+    return [];
+}
+
+// 12700000 → "12.7M", 242000 → "242K"
+function formatCount(n) {
+    const unit = n >= 1e9 ? 'B' : n >= 1e6 ? 'M' : n >= 1e3 ? 'K' : '';
+    if (!unit) return String(Math.round(n));
+    const value = n / COUNT_UNITS[unit];
+    return `${Number(value.toFixed(value >= 100 ? 0 : 1))}${unit}`;
+}
+
+function statPlatformLabel(platform) {
+    return STAT_PLATFORMS[platform]?.label || platform;
+}
+
+// ['tiktok', 'youtube'] → "TikTok and YouTube"
+function statPlatformList(platforms, and = 'and') {
+    const labels = platforms.map(statPlatformLabel);
+    return labels.length > 1 ? `${labels.slice(0, -1).join(', ')} ${and} ${labels[labels.length - 1]}` : (labels[0] || '');
+}
+
+// Total views over the items, plus the platforms that contributed
+function sumReach(items, metric = 'views') {
+    const platforms = [];
+    let total = 0;
+    items.forEach(item => {
+        normalizeStats(item?.stats).filter(s => s.metric === metric).forEach(s => {
+            total += s.count;
+            if (!platforms.includes(s.platform)) platforms.push(s.platform);
+        });
+    });
+    return { total, platforms };
+}
+
+// Rounded down to two significant figures, so the headline never overstates
+function formatReach(n) {
+    if (n < 100) return String(n);
+    const step = 10 ** (Math.floor(Math.log10(n)) - 1);
+    return `${formatCount(Math.floor(n / step) * step)}+`;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { STAT_PLATFORMS, STAT_METRICS, parseStats, normalizeStats, formatCount, statPlatformList, sumReach, formatReach };
+}
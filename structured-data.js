@@ -0,0 +1,147 @@
+// ============================================================
+// STRUCTURED-DATA.JS — JSON-LD for Search Engines
+// Builds one schema.org @graph from config.json and puts it in
+// <head>: a Person (site + resume, with TV credits), a
+// VideoObject per reel and UGC video that has an `uploadDate`
+// (Google won't show video results without one), and a
+// CreativeWork per site.projects entry.
+// ============================================================
+
+const STRUCTURED_DATA_ID = 'structuredData';
+
+// Config paths whose items become VideoObjects
+const VIDEO_SOURCES = ['videos.reels', 'videos.ugc.horizontal', 'videos.ugc.vertical'];
+
+// Card types whose thumbnail comes from a provider rather than the item alone
+const VIDEO_THUMB_PROVIDERS = {
+    drive: item => ['drive', item.id || item.fileId],
+    youtube: item => ['youtube', item.youtube || extractYouTubeId(item.url)]
+};
+
+function structuredPageUrl() {
+    return location.href.split(/[?#]/)[0];
+}
+
+function absoluteUrl(url) {
+    return url ? new URL(url, location.href).href : undefined;
+}
+
+// First section that renders the given config path, for #section/id links
+function sectionForSource(config, path) {
+    return (config.sections || []).find(section => [].concat(section.source || []).includes(path));
+}
+
+function personNode(config, page) {
+    const basics = jsonResumeBasics(config.site);
+    const resume = toJsonResume(config);
+    const credits = (config.resume?.experience || []).map(structureCredit);
+    const person = {
+        '@type': 'Person',
+        '@id': `${page}#person`,
+        name: basics.name,
+        jobTitle: basics.label,
+        description: config.site?.description,
+        url: page,
+        email: basics.email && `mailto:${basics.email}`,
+        sameAs: (basics.profiles || []).map(p => p.url)
+    };
+
+    const school = resume.education?.[0];
+    if (school) person.alumniOf = { '@type': 'EducationalOrganization', name: school.institution };
+
+    // Ongoing work away from a network is where they work now
+    const current = resumeTimeline(credits).filter(e => e.range?.ongoing && !e.network);
+    if (current.length) person.worksFor = current.map(e => ({ '@type': 'Organization', name: e.exp.show }));
+    return person;
+}
+
+// One TVSeries per show, with every season worked on and the network as publisher
+function creditNodes(config, page) {
+    const series = new Map();
+    (config.resume?.experience || []).map(structureCredit).filter(exp => exp.network).forEach(exp => {
+        const key = `${exp.show}|${exp.network}`;
+        if (!series.has(key)) {
+            series.set(key, {
+                '@type': 'TVSeries',
+                name: exp.show,
+                publisher: { '@type': 'Organization', name: exp.network },
+                producer: { '@id': `${page}#person` },
+                seasons: new Set()
+            });
+        }
+        (exp.seasons || []).forEach(n => series.get(key).seasons.add(n));
+    });
+    return [...series.values()].map(({ seasons, ...node }) => (seasons.size
+        ? { ...node, containsSeason: [...seasons].sort((a, b) => a - b).map(n => ({ '@type': 'TVSeason', seasonNumber: n })) }
+        : node));
+}
+
+function videoNode(item, path, config, page) {
+    // Bare Drive ID strings have nowhere to put an uploadDate
+    if (!isRenderableCard(item) || !item.uploadDate) return null;
+    const type = inferCardType(item);
+    const action = CARD_RENDERERS[type].action(item, { orientation: 'horizontal' });
+    if (!action.videoSrc) return null;
+
+    const [provider, id] = VIDEO_THUMB_PROVIDERS[type]?.(item) || [];
+    const thumb = thumbnailCandidates(provider, id, { size: 'lg', thumb: item.thumb || item.poster })[0];
+    const videoId = item.id || item.fileId || item.youtube || item.vimeo || id;
+    const section = sectionForSource(config, path);
+    const node = {
+        '@type': 'VideoObject',
+        '@id': `${page}#video-${videoId}`,
+        name: item.title,
+        description: item.description || item.title,
+        thumbnailUrl: absoluteUrl(thumb),
+        uploadDate: item.uploadDate,
+        creator: { '@id': `${page}#person` }
+    };
+    // Self-hosted files are the content itself; players are embeds
+    if (action.player) node.contentUrl = absoluteUrl(action.videoSrc);
+    else node.embedUrl = action.videoSrc.split('?')[0];
+    if (section && videoId) node.url = `${page}#${section.id}/${videoId}`;
+    return node;
+}
+
+function projectNode(project, page) {
+    return {
+        '@type': 'CreativeWork',
+        name: project.name,
+        url: project.url,
+        description: project.description,
+        creator: { '@id': `${page}#person` }
+    };
+}
+
+function buildStructuredData(config, page = structuredPageUrl()) {
+    const videos = new Map();
+    VIDEO_SOURCES.forEach(path => {
+        [].concat(resolveConfigPath(config, path) || []).forEach(item => {
+            const node = videoNode(item, path, config, page);
+            if (node && node.name && !videos.has(node['@id'])) videos.set(node['@id'], node);
+        });
+    });
+    return {
+        '@context': 'https://schema.org',
+        '@graph': [
+            personNode(config, page),
+            ...creditNodes(config, page),
+            ...videos.values(),
+            ...(config.site?.projects || []).map(project => projectNode(project, page))
+        ]
+    };
+}
+
+// `<` is escaped so the JSON can't close its <script> in prerendered HTML
+function structuredDataJson(config) {
+    return JSON.stringify(buildStructuredData(config)).replace(/</g, '\\u003c');
+}
+
+function injectStructuredData(config) {
+    document.getElementById(STRUCTURED_DATA_ID)?.remove();
+    const script = document.createElement('script');
+    script.type = 'application/ld+json';
+    script.id = STRUCTURED_DATA_ID;
+    script.textContent = structuredDataJson(config);
+    document.head.appendChild(script);
+}
@@ -0,0 +1,151 @@
+// ============================================================
+// SW.JS — Offline Cache
+// App shell: precached on install, served from cache and
+// refreshed in the background (the ?v= cache-busters are
+// ignored, so a deploy lands on the next visit).
+// config.json: stale-while-revalidate.
+// Thumbnails (Drive / YouTube): cache-first, capped at
+// THUMB_MAX_BYTES, oldest evicted first.
+// ============================================================
+
+const SHELL_CACHE = 'shell-v1';
+const THUMB_CACHE = 'thumbs-v1';
+const THUMB_MAX_BYTES = 24 * 1024 * 1024;
+// Opaque (no-cors) responses hide their size and browsers pad them in the
+// storage quota, so each counts as this much — well above a real thumbnail
+const OPAQUE_ENTRY_BYTES = 256 * 1024;
+
+const APP_SHELL = [
+    'index.html',
+    'styles.css',
+    'print.css',
+    'schema.js',
+    'html.js',
+    'i18n.js',
+    'locales/en.json',
+    'locales/es.json',
+    'theme.js',
+    'stats.js',
+    'thumbs.js',
+    'cards.js',
+    'player.js',
+    'contact.js',
+    'resume.js',
+    'print.js',
+    'structured-data.js',
+    'analytics.js',
+    'panels.js',
+    'editor.js',
+    'script.js',
+    'main.js',
+    'fonts/AerobicsRegular-mLRZP.woff'
+];
+
+const THUMB_HOSTS = ['drive.google.com', 'lh3.googleusercontent.com', 'img.youtube.com', 'i.ytimg.com'];
+
+// Font Awesome stylesheet and webfonts, so icons survive offline too
+const CDN_HOSTS = ['cdnjs.cloudflare.com'];
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        caches.open(SHELL_CACHE)
+            .then(cache => cache.addAll(APP_SHELL))
+            .then(() => self.skipWaiting())
+    );
+});
+
+self.addEventListener('activate', (event) => {
+    const keep = [SHELL_CACHE, THUMB_CACHE];
+    event.waitUntil(
+        caches.keys()
+            .then(names => Promise.all(names.filter(n => !keep.includes(n)).map(n => caches.delete(n))))
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    if (request.method !== 'GET') return;
+    const url = new URL(request.url);
+
+    if (url.origin === self.location.origin) {
+        if (request.mode === 'navigate') {
+            // Deep links (?video=, #ugc/…) all boot from the same shell
+            event.respondWith(staleWhileRevalidate(new Request(new URL('index.html', self.registration.scope)), SHELL_CACHE));
+        } else if (url.pathname.endsWith('/config.json')) {
+            event.respondWith(staleWhileRevalidate(request, SHELL_CACHE));
+        } else {
+            event.respondWith(staleWhileRevalidate(request, SHELL_CACHE, { ignoreSearch: true }));
+        }
+        return;
+    }
+
+    if (isThumbnail(url)) {
+        event.respondWith(cacheFirst(request, THUMB_CACHE, THUMB_MAX_BYTES));
+    } else if (CDN_HOSTS.includes(url.hostname)) {
+        event.respondWith(cacheFirst(request, SHELL_CACHE));
+    }
+});
+
+function isThumbnail(url) {
+    if (!THUMB_HOSTS.includes(url.hostname)) return false;
+    // drive.google.com also serves the /file/d/…/preview player — only cache /thumbnail
+    return url.hostname !== 'drive.google.com' || url.pathname === '/thumbnail';
+}
+
+// Opaque (no-cors image) responses report status 0 but are still usable
+function isCacheable(response) {
+    return response && (response.ok || response.type === 'opaque');
+}
+
+// Stored without the query string when ignoreSearch is set, so each
+// ?v= bump replaces the old copy rather than piling up beside it
+function cacheKey(request, options) {
+    if (!options.ignoreSearch) return request;
+    const url = new URL(request.url);
+    url.search = '';
+    return url.href;
+}
+
+async function staleWhileRevalidate(request, cacheName, options = {}) {
+    const cache = await caches.open(cacheName);
+    const cached = await cache.match(request, options);
+    const network = fetch(request)
+        .then(response => {
+            if (isCacheable(response)) cache.put(cacheKey(request, options), response.clone());
+            return response;
+        })
+        // Nothing cached and no network: respondWith needs a Response, not undefined
+        .catch(() => cached || Response.error());
+    return cached || network;
+}
+
+async function cacheFirst(request, cacheName, maxBytes) {
+    const cache = await caches.open(cacheName);
+    const cached = await cache.match(request);
+    if (cached) return cached;
+    const response = await fetch(request);
+    if (isCacheable(response)) {
+        await cache.put(request, response.clone());
+        if (maxBytes) await trimCache(cache, maxBytes);
+    }
+    return response;
+}
+
+// What an entry counts against the cap: its stored Content-Length when readable
+function entryBytes(response) {
+    if (!response) return 0;
+    const length = response.type === 'opaque' ? 0 : Number(response.headers.get('Content-Length'));
+    return length > 0 ? length : OPAQUE_ENTRY_BYTES;
+}
+
+// Cache keys come back in insertion order, so the front is the oldest
+async function trimCache(cache, maxBytes) {
+    const keys = await cache.keys();
+    const sizes = await Promise.all(keys.map(key => cache.match(key).then(entryBytes)));
+    let total = sizes.reduce((sum, bytes) => sum + bytes, 0);
+    for (let i = 0; i < keys.length && total > maxBytes; i++) {
+        await cache.delete(keys[i]);
+        total -= sizes[i];
+    }
+}
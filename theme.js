@@ -0,0 +1,179 @@
+// ============================================================
+// THEME.JS — Named Palettes
+// A theme is one token set: the CSS custom properties (styles.css
+// :root keeps Aero Day's for no-JS), the dodecahedron progress
+// widget's face and edge colours, and the 3D sky's gradient
+// uniforms. "Auto" follows prefers-color-scheme; a picked theme is
+// saved. Canvas and WebGL code listen for the "themechange" event.
+// ============================================================
+
+const THEME_STORAGE_KEY = 'theme';
+const THEME_AUTO = 'auto';
+
+// Which theme "auto" uses for each prefers-color-scheme value
+const THEME_SCHEMES = { light: 'aero-day', dark: 'aero-night' };
+
+// progress.faces repeat around the dodecahedron; colours are [r, g, b]
+const THEMES = {
+    'aero-day': {
+        scheme: 'light',
+        css: {
+            '--page-bg': 'linear-gradient(180deg, #1683F3 0%, #4FA3FF 35%, #7BC323 60%, #55A719 100%)',
+            '--xp-blue': '#1683F3',
+            '--xp-blue-dark': '#0052CC',
+            '--xp-blue-light': '#4FA3FF',
+            '--xp-green': '#55A719',
+            '--xp-green-light': '#7BC323',
+            '--xp-green-dark': '#3E7A0D',
+            '--xp-title-bar': '#000080',
+            '--xp-title-bar-light': '#1084D7',
+            '--xp-gray-light': '#C0C0C0',
+            '--bevel-light': '#dfdfdf',
+            '--bevel-dark': '#808080',
+            '--field-bg': '#FFFFFF',
+            '--ink': '#000000',
+            '--text-gray': '#333333'
+        },
+        progress: {
+            faces: [[220, 38, 38], [250, 204, 21], [74, 222, 128], [59, 130, 246], [244, 114, 182]],
+            edge: [66, 165, 245]
+        },
+        sky: { top: '#87CEEB', mid: '#B8E4F9', bottom: '#E8F6FF' }
+    },
+    'aero-night': {
+        scheme: 'dark',
+        css: {
+            '--page-bg': 'linear-gradient(180deg, #050B24 0%, #0D2352 40%, #143D3A 70%, #0B2A12 100%)',
+            '--xp-blue': '#4FA3FF',
+            '--xp-blue-dark': '#8CC4FF',
+            '--xp-blue-light': '#2A6FC0',
+            '--xp-green': '#3F8A14',
+            '--xp-green-light': '#55A719',
+            '--xp-green-dark': '#2A5C08',
+            '--xp-title-bar': '#0A0F2E',
+            '--xp-title-bar-light': '#27407A',
+            '--xp-gray-light': '#2E3440',
+            '--bevel-light': '#4C566A',
+            '--bevel-dark': '#1B1F27',
+            '--field-bg': '#3B4252',
+            '--ink': '#ECEFF4',
+            '--text-gray': '#C0C8D6'
+        },
+        progress: {
+            faces: [[248, 113, 113], [253, 224, 71], [134, 239, 172], [147, 197, 253], [249, 168, 212]],
+            edge: [147, 197, 253]
+        },
+        sky: { top: '#050B24', mid: '#0D2352', bottom: '#1E3A5F' }
+    },
+    'high-contrast': {
+        scheme: 'dark',
+        css: {
+            '--page-bg': '#000000',
+            '--xp-blue': '#00FFFF',
+            '--xp-blue-dark': '#FFFF00',
+            '--xp-blue-light': '#00FFFF',
+            '--xp-green': '#000000',
+            '--xp-green-light': '#333333',
+            '--xp-green-dark': '#000000',
+            '--xp-title-bar': '#000000',
+            '--xp-title-bar-light': '#000000',
+            '--xp-gray-light': '#000000',
+            '--bevel-light': '#FFFFFF',
+            '--bevel-dark': '#FFFFFF',
+            '--field-bg': '#000000',
+            '--ink': '#FFFFFF',
+            '--text-gray': '#FFFFFF'
+        },
+        progress: {
+            faces: [[255, 255, 0], [0, 255, 255], [255, 255, 255]],
+            edge: [255, 255, 255]
+        },
+        sky: { top: '#000000', mid: '#000000', bottom: '#1A1A1A' }
+    },
+    monochrome: {
+        scheme: 'light',
+        css: {
+            '--page-bg': 'linear-gradient(180deg, #3A3A3A 0%, #8A8A8A 50%, #D0D0D0 100%)',
+            '--xp-blue': '#404040',
+            '--xp-blue-dark': '#202020',
+            '--xp-blue-light': '#6A6A6A',
+            '--xp-green': '#505050',
+            '--xp-green-light': '#707070',
+            '--xp-green-dark': '#303030',
+            '--xp-title-bar': '#202020',
+            '--xp-title-bar-light': '#5A5A5A',
+            '--xp-gray-light': '#C8C8C8',
+            '--bevel-light': '#E8E8E8',
+            '--bevel-dark': '#7A7A7A',
+            '--field-bg': '#FFFFFF',
+            '--ink': '#000000',
+            '--text-gray': '#333333'
+        },
+        progress: {
+            faces: [[90, 90, 90], [140, 140, 140], [190, 190, 190], [120, 120, 120], [220, 220, 220]],
+            edge: [60, 60, 60]
+        },
+        sky: { top: '#5A5A5A', mid: '#9A9A9A', bottom: '#D8D8D8' }
+    }
+};
+
+let activeThemeName = THEME_SCHEMES.light;
+
+function activeTheme() {
+    return THEMES[activeThemeName];
+}
+
+// A theme name, or THEME_AUTO when nothing valid is saved
+function storedThemeChoice() {
+    try {
+        const choice = localStorage.getItem(THEME_STORAGE_KEY);
+        return THEMES[choice] ? choice : THEME_AUTO;
+    } catch (err) {
+        return THEME_AUTO;
+    }
+}
+
+function systemTheme() {
+    return window.matchMedia?.('(prefers-color-scheme: dark)').matches ? THEME_SCHEMES.dark : THEME_SCHEMES.light;
+}
+
+function applyTheme(name) {
+    const theme = THEMES[name];
+    const root = document.documentElement;
+    Object.entries(theme.css).forEach(([prop, value]) => root.style.setProperty(prop, value));
+    root.style.colorScheme = theme.scheme;
+    root.dataset.theme = name;
+    activeThemeName = name;
+    window.dispatchEvent(new CustomEvent('themechange', { detail: { name, theme } }));
+}
+
+function setThemeChoice(choice) {
+    try {
+        if (choice === THEME_AUTO) localStorage.removeItem(THEME_STORAGE_KEY);
+        else localStorage.setItem(THEME_STORAGE_KEY, choice);
+    } catch (err) {
+        // Private mode — the theme applies for this visit only
+    }
+    applyTheme(THEMES[choice] ? choice : systemTheme());
+}
+
+function initTheme() {
+    const choice = storedThemeChoice();
+    applyTheme(THEMES[choice] ? choice : systemTheme());
+    // On auto, keep following the OS setting while the page is open
+    window.matchMedia?.('(prefers-color-scheme: dark)').addEventListener?.('change', () => {
+        if (storedThemeChoice() === THEME_AUTO) applyTheme(systemTheme());
+    });
+}
+
+/* ===== THEME SWITCHER ===== */
+function initThemeSwitcher() {
+    const select = document.getElementById('themeSwitcher');
+    if (!select) return;
+    const choice = storedThemeChoice();
+    select.innerHTML = html`${[THEME_AUTO, ...Object.keys(THEMES)].map(name =>
+        html`<option value="${name}"${name === choice ? html` selected` : ''}>${t(`theme.${name}`)}</option>`
+    )}`;
+    select.hidden = false;
+    select.addEventListener('change', () => setThemeChoice(select.value));
+}
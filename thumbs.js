@@ -0,0 +1,121 @@
+// ============================================================
+// THUMBS.JS — Thumbnail Providers
+// Providers turn an id + size into candidate URLs, best first;
+// an item's `thumb` (URL or local path) is tried before them.
+// URLs that fail to load are remembered for the session, so
+// later renders skip straight to the next candidate.
+// ============================================================
+
+const THUMB_PROVIDERS = {};
+const FAILED_THUMBS_KEY = 'failedThumbs';
+
+// A bare provider id (Drive file id, YouTube id) rather than a URL or path
+const THUMB_ID = /^[A-Za-z0-9_-]+$/;
+
+// provider: {
+//   sizes: { sm, md, lg, xl } → the provider's own size variant
+//   urls:  (id, variant) => [url, ...] best first
+// }
+function registerThumbProvider(name, provider) {
+    THUMB_PROVIDERS[name] = provider;
+}
+
+registerThumbProvider('drive', {
+    sizes: { sm: 'w320', md: 'w480', lg: 'w640', xl: 'w800' },
+    urls: (id, size) => [
+        `https://drive.google.com/thumbnail?id=${id}&sz=${size}`,
+        `https://lh3.googleusercontent.com/d/${id}=${size}`
+    ]
+});
+
+// Largest first — a size starts the chain at its variant and steps down
+const YOUTUBE_VARIANTS = ['maxresdefault', 'sddefault', 'hqdefault', 'mqdefault'];
+
+registerThumbProvider('youtube', {
+    sizes: { sm: 'mqdefault', md: 'hqdefault', lg: 'maxresdefault', xl: 'maxresdefault' },
+    urls: (id, variant) => YOUTUBE_VARIANTS
+        .slice(YOUTUBE_VARIANTS.indexOf(variant))
+        .map(v => `https://img.youtube.com/vi/${id}/${v}.jpg`)
+});
+
+/* ===== SESSION FAILURES ===== */
+let failedThumbSet = null;
+
+function failedThumbs() {
+    if (!failedThumbSet) {
+        try {
+            failedThumbSet = new Set(JSON.parse(sessionStorage.getItem(FAILED_THUMBS_KEY) || '[]'));
+        } catch (err) {
+            failedThumbSet = new Set();
+        }
+    }
+    return failedThumbSet;
+}
+
+function markThumbFailed(url) {
+    failedThumbs().add(url);
+    try {
+        sessionStorage.setItem(FAILED_THUMBS_KEY, JSON.stringify([...failedThumbSet]));
+    } catch (err) {
+        // Storage unavailable — the set still lasts for this page
+    }
+}
+
+/* ===== CANDIDATES ===== */
+// options: { size: 'sm' | 'md' | 'lg' | 'xl', thumb: override }
+// `thumb` is a URL or local path to use first, or a bare id that replaces `id`
+function thumbnailCandidates(provider, id, { size = 'lg', thumb } = {}) {
+    const sources = [];
+    const isId = thumb && THUMB_ID.test(thumb);
+    if (thumb && !isId) sources.push(thumb);
+    const p = THUMB_PROVIDERS[provider];
+    const sourceId = isId ? thumb : id;
+    if (p && sourceId) sources.push(...p.urls(encodeURIComponent(sourceId), p.sizes[size] || p.sizes.lg));
+    return [...new Set(sources.map(url => safeUrl(url, '')))].filter(Boolean);
+}
+
+// Candidates minus the ones that already failed this session
+function thumbnailSources(provider, id, options) {
+    const failed = failedThumbs();
+    return thumbnailCandidates(provider, id, options).filter(url => !failed.has(url));
+}
+
+function thumbPlaceholder(icon, label = '') {
+    return html`<div class="thumb-placeholder"><i class="fas ${icon}"></i>${label ? html`<span>${label}</span>` : ''}</div>`;
+}
+
+// First candidate as the src, the rest queued for initImageFallbacks;
+// straight to the placeholder when every candidate has already failed
+function thumbImage(sources, { alt = '', className = '', placeholder = 'fa-video' } = {}) {
+    if (!sources.length) return thumbPlaceholder(placeholder, alt);
+    return html`<img${className ? html` class="${className}"` : ''} src="${sources[0]}" alt="${alt}" loading="lazy"${
+        sources.length > 1 ? html` data-fallbacks="${JSON.stringify(sources.slice(1))}"` : ''
+    } data-placeholder="${placeholder}">`;
+}
+
+/* ===== LOAD ERRORS ===== */
+// Replaces inline onerror handlers: a failed <img data-fallbacks> moves to
+// its next unfailed candidate, then <img data-placeholder> swaps to a titled placeholder
+function initImageFallbacks() {
+    document.addEventListener('error', (e) => {
+        const img = e.target;
+        if (!(img instanceof HTMLImageElement)) return;
+        if (img.dataset.fallbacks === undefined && img.dataset.placeholder === undefined) return;
+        // Offline errors say nothing about the URL itself
+        if (navigator.onLine !== false) markThumbFailed(img.getAttribute('src'));
+
+        const queue = JSON.parse(img.dataset.fallbacks || '[]').filter(url => !failedThumbs().has(url));
+        if (queue.length) {
+            img.dataset.fallbacks = JSON.stringify(queue.slice(1));
+            img.src = queue[0];
+            return;
+        }
+        if (img.dataset.placeholder === undefined) return;
+        img.outerHTML = thumbPlaceholder(img.dataset.placeholder || 'fa-video', img.alt);
+    }, true); // error events don't bubble — listen in the capture phase
+
+    // Prerendered images may have failed before this listener existed
+    document.querySelectorAll('img[data-fallbacks], img[data-placeholder]').forEach(img => {
+        if (img.complete && !img.naturalWidth && img.getAttribute('src')) img.dispatchEvent(new Event('error'));
+    });
+}
@@ -0,0 +1,131 @@
+// ============================================================
+// BUILD-SOCIAL-MANIFEST.JS — Instagram / TikTok Thumbnails
+// Scans config.json for Instagram and TikTok post URLs and writes
+// thumbs/social-manifest.json, which cards.js reads instead of
+// calling oEmbed from the browser.
+//
+//   node tools/build-social-manifest.js [--offline] [--refresh]
+//
+// Instagram: save each post's thumbnail into thumbs/instagram/ as
+//   <shortcode>.jpg (or .jpeg / .png / .webp); missing ones are listed.
+// TikTok: oEmbed is fetched here and its thumbnail saved to
+//   thumbs/tiktok/<videoId>.jpg. Cached entries are reused unless
+//   --refresh; --offline skips the network and keeps the cache.
+// ============================================================
+
+const fs = require('fs');
+const path = require('path');
+const { extractInstagramShortcode, extractTikTokId } = require('../cards.js');
+
+const ROOT = path.resolve(__dirname, '..');
+const CONFIG_PATH = path.join(ROOT, 'config.json');
+const THUMBS_DIR = 'thumbs';
+const MANIFEST_PATH = path.join(ROOT, THUMBS_DIR, 'social-manifest.json');
+const IMAGE_EXTENSIONS = ['.jpg', '.jpeg', '.png', '.webp'];
+
+function readJson(file, fallback) {
+    if (!fs.existsSync(file)) return fallback;
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+// Every `url` string anywhere in the config, with its JSON path for messages
+function collectUrls(node, at = '', out = []) {
+    if (Array.isArray(node)) {
+        node.forEach((child, i) => collectUrls(child, `${at}[${i}]`, out));
+    } else if (node && typeof node === 'object') {
+        Object.entries(node).forEach(([key, value]) => {
+            const childAt = at ? `${at}.${key}` : key;
+            if (key === 'url' && typeof value === 'string') out.push({ url: value, at: childAt });
+            else collectUrls(value, childAt, out);
+        });
+    }
+    return out;
+}
+
+// Manifest paths are site-relative with forward slashes
+function sitePath(...parts) {
+    return path.posix.join(THUMBS_DIR, ...parts);
+}
+
+function findDroppedImage(folder, name) {
+    const ext = IMAGE_EXTENSIONS.find(e => fs.existsSync(path.join(ROOT, THUMBS_DIR, folder, name + e)));
+    return ext ? sitePath(folder, name + ext) : null;
+}
+
+async function fetchTikTok(url, id) {
+    const res = await fetch(`https://www.tiktok.com/oembed?url=${encodeURIComponent(url)}`);
+    if (!res.ok) throw new Error(`oEmbed replied ${res.status}`);
+    const data = await res.json();
+    if (!data.thumbnail_url) throw new Error('oEmbed returned no thumbnail');
+
+    const image = await fetch(data.thumbnail_url);
+    if (!image.ok) throw new Error(`thumbnail replied ${image.status}`);
+    fs.mkdirSync(path.join(ROOT, THUMBS_DIR, 'tiktok'), { recursive: true });
+    fs.writeFileSync(path.join(ROOT, THUMBS_DIR, 'tiktok', `${id}.jpg`), Buffer.from(await image.arrayBuffer()));
+
+    return {
+        url,
+        title: data.title || '',
+        author: data.author_name || '',
+        thumb: sitePath('tiktok', `${id}.jpg`),
+        fetchedAt: new Date().toISOString()
+    };
+}
+
+async function main() {
+    const args = process.argv.slice(2);
+    const offline = args.includes('--offline');
+    const refresh = args.includes('--refresh');
+
+    const config = readJson(CONFIG_PATH);
+    const previous = readJson(MANIFEST_PATH, { instagram: {}, tiktok: {} });
+    const manifest = { generatedAt: new Date().toISOString(), instagram: {}, tiktok: {} };
+    const missing = [];
+    let failures = 0;
+
+    fs.mkdirSync(path.join(ROOT, THUMBS_DIR, 'instagram'), { recursive: true });
+
+    for (const { url, at } of collectUrls(config)) {
+        const shortcode = extractInstagramShortcode(url);
+        if (shortcode) {
+            const thumb = findDroppedImage('instagram', shortcode);
+            manifest.instagram[shortcode] = { url, thumb };
+            if (!thumb) missing.push(`${sitePath('instagram', shortcode)}.jpg  ← ${at}`);
+            continue;
+        }
+
+        const tiktokId = extractTikTokId(url);
+        if (!tiktokId) continue;
+        const cached = previous.tiktok?.[tiktokId];
+        const cachedFileExists = cached?.thumb && fs.existsSync(path.join(ROOT, cached.thumb));
+        if (offline || (cachedFileExists && !refresh)) {
+            if (cached) manifest.tiktok[tiktokId] = cached;
+            else missing.push(`TikTok ${tiktokId} (not cached; run without --offline)  ← ${at}`);
+            continue;
+        }
+        try {
+            manifest.tiktok[tiktokId] = await fetchTikTok(url, tiktokId);
+            console.log(`[Manifest] TikTok ${tiktokId} cached`);
+        } catch (err) {
+            failures++;
+            console.warn(`[Manifest] TikTok ${tiktokId}: ${err.message} — ${cached ? 'keeping cached entry' : 'no thumbnail'}`);
+            if (cached) manifest.tiktok[tiktokId] = cached;
+        }
+    }
+
+    fs.writeFileSync(MANIFEST_PATH, JSON.stringify(manifest, null, 2) + '\n');
+    const count = group => Object.values(manifest[group]).filter(entry => entry.thumb).length;
+    console.log(`[Manifest] Wrote ${path.relative(ROOT, MANIFEST_PATH)}: `
+        + `${count('instagram')}/${Object.keys(manifest.instagram).length} Instagram, `
+        + `${count('tiktok')}/${Object.keys(manifest.tiktok).length} TikTok thumbnails`);
+    if (missing.length) {
+        console.log('[Manifest] Still needed:');
+        missing.forEach(line => console.log(`  ${line}`));
+    }
+    if (failures) process.exitCode = 1;
+}
+
+main().catch(err => {
+    console.error('[Manifest]', err.message);
+    process.exit(1);
+});
@@ -0,0 +1,22 @@
+// ============================================================
+// CONFIG-IO.JS — Read / Write config.json for tools
+// Writes the file the way it is kept in the repo (serializeConfig
+// in schema.js, shared with the ?edit export), so a migration's
+// diff only shows what actually changed.
+// ============================================================
+
+const fs = require('fs');
+const path = require('path');
+const { serializeConfig } = require('../schema.js');
+
+const CONFIG_PATH = path.resolve(__dirname, '..', 'config.json');
+
+function readConfig(file = CONFIG_PATH) {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+function writeConfig(config, file = CONFIG_PATH) {
+    fs.writeFileSync(file, serializeConfig(config));
+}
+
+module.exports = { CONFIG_PATH, readConfig, serializeConfig, writeConfig };
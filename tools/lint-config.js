@@ -0,0 +1,195 @@
+// ============================================================
+// LINT-CONFIG.JS — Catch broken media references in config.json
+// Beyond the schema check: the same video used twice (Drive id,
+// YouTube or Vimeo id, or src file), Drive IDs of the wrong
+// length, YouTube links extractYouTubeId can't read, TikTok/
+// Instagram links carrying share-tracking or locale params, and
+// reels/UGC videos without the uploadDate their JSON-LD needs.
+// --fix applies the safe fixes (stripping igsh=, lang= and friends,
+// turning a `youtube` URL into its id) and rewrites the file.
+// Exits 1 while any error is left.
+//
+//   node tools/lint-config.js [--fix] [file]
+// ============================================================
+
+const path = require('path');
+const { CONFIG_PATH, readConfig, writeConfig } = require('./config-io.js');
+const { CARD_TYPES, validateConfig } = require('../schema.js');
+const { extractYouTubeId, extractVimeoId } = require('../cards.js');
+
+// Drive file IDs are 33 characters; files from before 2016 have 28
+const DRIVE_ID_LENGTHS = [33, 28];
+const YOUTUBE_ID = /^[A-Za-z0-9_-]{11}$/;
+const YOUTUBE_HOST = /(^|\.)(youtube\.com|youtu\.be)$/;
+// Channel and handle links are fine as plain link cards
+const YOUTUBE_CHANNEL_PATH = /^\/(@|c\/|channel\/|user\/)/;
+const SOCIAL_HOST = /(^|\.)(tiktok\.com|instagram\.com)$/;
+// Lists whose videos become JSON-LD VideoObjects (structured-data.js VIDEO_SOURCES)
+const VIDEO_LISTS = ['videos.reels', 'videos.ugc.horizontal', 'videos.ugc.vertical'];
+// lang= is the sharer's TikTok UI language, not part of the post
+const TRACKING_PARAMS = [/^igsh(id)?$/, /^lang$/, /^utm_/, /^is_from_webapp$/, /^sender_device$/, /^_r$/, /^_t$/];
+
+function childPath(at, key) {
+    if (typeof key === 'number') return `${at}[${key}]`;
+    return at ? `${at}.${key}` : key;
+}
+
+function parseUrl(value) {
+    try {
+        return new URL(value);
+    } catch (err) {
+        return null;
+    }
+}
+
+// `fileId` is always a Drive file. `id` is one unless the item is another
+// card type or names another source; a `type` outside CARD_TYPES is the
+// item's own kind (reels use "producing" / "directing"), not a card type
+function isDriveItem(item, key) {
+    if (key === 'fileId') return true;
+    const cardType = CARD_TYPES.includes(item.type) ? item.type : null;
+    return (!cardType || cardType === 'drive') && !item.youtube && !item.vimeo && !item.src;
+}
+
+function stripTracking(url) {
+    [...url.searchParams.keys()]
+        .filter(name => TRACKING_PARAMS.some(pattern => pattern.test(name)))
+        .forEach(name => url.searchParams.delete(name));
+    return url.toString();
+}
+
+// Returns [{ path, severity, rule, message, fix? }]; fix() edits config in place
+function lintConfig(config) {
+    const diagnostics = [];
+    const report = (at, severity, rule, message, fix) => diagnostics.push({ path: at, severity, rule, message, fix });
+
+    validateConfig(config).forEach(e => report(e.path, 'error', 'schema', e.message));
+
+    const seenSections = new Map();
+    (config.sections || []).forEach((section, i) => {
+        const at = `sections[${i}].id`;
+        if (seenSections.has(section.id)) report(at, 'error', 'duplicate-section-id', `Section id "${section.id}" is already used at ${seenSections.get(section.id)}`);
+        else seenSections.set(section.id, at);
+    });
+
+    // Keyed by kind too, so a YouTube id can't clash with a Drive id
+    const seenVideos = new Map();
+    const checkDuplicate = (at, kind, id) => {
+        const key = `${kind}:${id}`;
+        if (seenVideos.has(key)) report(at, 'error', 'duplicate-id', `Video ${kind === 'src' ? 'source' : 'id'} "${id}" is already used at ${seenVideos.get(key)}`);
+        else seenVideos.set(key, at);
+    };
+    const checkDriveId = (at, id) => {
+        checkDuplicate(at, 'drive', id);
+        if (!DRIVE_ID_LENGTHS.includes(id.length)) {
+            report(at, 'error', 'drive-id-length', `Drive ID is ${id.length} characters (expected ${DRIVE_ID_LENGTHS.join(' or ')})`);
+        }
+    };
+
+    const walk = (node, at, inVideos) => {
+        if (Array.isArray(node)) {
+            node.forEach((child, i) => {
+                // Bare strings in the video lists are Drive IDs (the UGC shorthand)
+                if (inVideos && typeof child === 'string') checkDriveId(childPath(at, i), child.trim());
+                else walk(child, childPath(at, i), inVideos);
+            });
+            return;
+        }
+        if (!node || typeof node !== 'object') return;
+
+        Object.entries(node).forEach(([key, value]) => {
+            const valueAt = childPath(at, key);
+            if ((key === 'id' || key === 'fileId') && typeof value === 'string' && isDriveItem(node, key)) {
+                checkDriveId(valueAt, value.trim());
+            } else if (key === 'youtube' && typeof value === 'string') {
+                const id = YOUTUBE_ID.test(value) ? value : extractYouTubeId(value);
+                if (id) checkDuplicate(valueAt, 'youtube', id);
+                if (id && id !== value) report(valueAt, 'error', 'youtube-id', `"youtube" takes the video id, not a URL — use "${id}"`, () => { node[key] = id; });
+                else if (!id) report(valueAt, 'error', 'youtube-id', `"${value}" is not a YouTube video id`);
+            } else if (key === 'vimeo' && typeof value === 'string') {
+                const id = /^\d+$/.test(value) ? value : extractVimeoId(value);
+                if (id) checkDuplicate(valueAt, 'vimeo', id);
+            } else if (key === 'src' && typeof value === 'string') {
+                checkDuplicate(valueAt, 'src', value.trim());
+            } else if (typeof value === 'string') {
+                // A card can name its YouTube/Vimeo video by url alone
+                if (key === 'url' && !node.youtube && !node.vimeo) checkVideoUrl(valueAt, value);
+                checkUrl(node, key, value, valueAt);
+            } else {
+                walk(value, valueAt, inVideos);
+            }
+        });
+    };
+
+    const checkVideoUrl = (at, value) => {
+        const youtubeId = extractYouTubeId(value);
+        const vimeoId = !youtubeId && extractVimeoId(value);
+        if (youtubeId) checkDuplicate(at, 'youtube', youtubeId);
+        else if (vimeoId) checkDuplicate(at, 'vimeo', vimeoId);
+    };
+
+    const checkUrl = (node, key, value, at) => {
+        const url = /^https?:\/\//.test(value) ? parseUrl(value) : null;
+        if (!url) return;
+        if (YOUTUBE_HOST.test(url.hostname) && !YOUTUBE_CHANNEL_PATH.test(url.pathname) && !extractYouTubeId(value)) {
+            report(at, 'error', 'youtube-url', `No video id could be read from ${value}`);
+        }
+        if (SOCIAL_HOST.test(url.hostname)) {
+            const cleaned = stripTracking(new URL(value));
+            if (cleaned !== url.toString()) {
+                const params = [...url.searchParams.keys()].filter(name => !new URL(cleaned).searchParams.has(name));
+                report(at, 'warning', 'tracking-params', `Share-tracking parameters (${params.join(', ')}) in ${value}`, () => { node[key] = cleaned; });
+            }
+        }
+    };
+
+    Object.entries(config).forEach(([key, value]) => {
+        if (key !== 'sections') walk(value, key, key === 'videos');
+    });
+
+    VIDEO_LISTS.forEach(at => {
+        const items = at.split('.').reduce((node, key) => node?.[key], config);
+        (Array.isArray(items) ? items : []).forEach((item, i) => {
+            if (!item?.uploadDate) report(childPath(at, i), 'warning', 'upload-date', 'No uploadDate, so the video is left out of the JSON-LD');
+        });
+    });
+    return diagnostics;
+}
+
+function main() {
+    const args = process.argv.slice(2);
+    const fix = args.includes('--fix');
+    const file = path.resolve(args.find(arg => !arg.startsWith('--')) || CONFIG_PATH);
+    const name = path.relative(process.cwd(), file) || file;
+
+    const config = readConfig(file);
+    let diagnostics = lintConfig(config);
+    const fixes = fix ? diagnostics.filter(d => d.fix) : [];
+    if (fixes.length) {
+        fixes.forEach(d => {
+            d.fix();
+            console.log(`${name} ${d.path}: fixed ${d.message} (${d.rule})`);
+        });
+        writeConfig(config, file);
+        // Fixes can clear other findings too (a repaired "youtube" id passes the schema)
+        diagnostics = lintConfig(config);
+    }
+
+    diagnostics.forEach(d => {
+        const line = `${name} ${d.path}: ${d.severity} ${d.message} (${d.rule})`;
+        if (d.severity === 'error') console.error(line);
+        else console.log(line);
+    });
+
+    const errors = diagnostics.filter(d => d.severity === 'error').length;
+    const fixable = diagnostics.filter(d => d.fix).length;
+    console.log(`[Lint] ${errors} errors, ${diagnostics.length - errors} warnings${fixes.length ? `, ${fixes.length} fixed` : ''}${fixable ? ` (${fixable} fixable with --fix)` : ''}`);
+    if (errors) process.exitCode = 1;
+}
+
+try {
+    main();
+} catch (err) {
+    console.error('[Lint]', err.message);
+    process.exit(1);
+}
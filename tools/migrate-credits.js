@@ -0,0 +1,34 @@
+// ============================================================
+// MIGRATE-CREDITS.JS — Show text → structured credits
+// Splits each resume.experience "show" like "America's Got Talent
+// Season 18 & 19 — NBC" into show / seasons / network, and adds a
+// roleCategory ("Producer", "Associate Producer", "Freelance")
+// for the resume filter chips. Entries already split are kept.
+//
+//   node tools/migrate-credits.js [--dry-run]
+// ============================================================
+
+const { readConfig, writeConfig } = require('./config-io.js');
+const { structureCredit, creditTitle } = require('../resume.js');
+
+function main() {
+    const dryRun = process.argv.includes('--dry-run');
+    const config = readConfig();
+    const experience = config.resume?.experience || [];
+    let changed = 0;
+
+    config.resume.experience = experience.map((exp, i) => {
+        const credit = structureCredit(exp);
+        if (JSON.stringify(credit) === JSON.stringify(exp)) return exp;
+        changed++;
+        const parts = [credit.show, credit.seasons && `seasons ${credit.seasons.join(', ')}`, credit.network, credit.roleCategory].filter(Boolean);
+        console.log(`[Credits] resume.experience[${i}]: "${exp.show}" → ${parts.join(' | ')}`);
+        if (creditTitle(credit) !== exp.show) console.log(`          now reads "${creditTitle(credit)}"`);
+        return credit;
+    });
+
+    if (changed && !dryRun) writeConfig(config);
+    console.log(`[Credits] ${changed} of ${experience.length} entries structured${dryRun ? ' (dry run)' : ''}`);
+}
+
+main();
@@ -0,0 +1,47 @@
+// ============================================================
+// MIGRATE-STATS.JS — Free-text stats → structured stats
+// Rewrites every "stats": "12.7M Views · TikTok | …" string in
+// config.json as [{ platform, metric, count }]. Strings the
+// parser can't read are listed and left untouched.
+//
+//   node tools/migrate-stats.js [--dry-run]
+// ============================================================
+
+const { readConfig, writeConfig } = require('./config-io.js');
+const { parseStats } = require('../stats.js');
+
+function migrate(node, at, report) {
+    if (Array.isArray(node)) {
+        node.forEach((child, i) => migrate(child, `${at}[${i}]`, report));
+        return;
+    }
+    if (!node || typeof node !== 'object') return;
+    Object.entries(node).forEach(([key, value]) => {
+        const childAt = at ? `${at}.${key}` : key;
+        if (key === 'stats' && typeof value === 'string') {
+            const parsed = parseStats(value);
+            if (parsed) {
+                node[key] = parsed;
+                report.migrated.push(`${childAt}: "${value}"`);
+            } else {
+                report.skipped.push(`${childAt}: "${value}"`);
+            }
+        } else {
+            migrate(value, childAt, report);
+        }
+    });
+}
+
+function main() {
+    const dryRun = process.argv.includes('--dry-run');
+    const config = readConfig();
+    const report = { migrated: [], skipped: [] };
+    migrate(config, '', report);
+
+    report.migrated.forEach(line => console.log(`[Stats] migrated ${line}`));
+    report.skipped.forEach(line => console.warn(`[Stats] could not parse ${line}`));
+    if (report.migrated.length && !dryRun) writeConfig(config);
+    console.log(`[Stats] ${report.migrated.length} migrated, ${report.skipped.length} left as text${dryRun ? ' (dry run)' : ''}`);
+}
+
+main();
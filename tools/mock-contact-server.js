@@ -0,0 +1,103 @@
+// ============================================================
+// MOCK-CONTACT-SERVER.JS — Local Contact Endpoint
+// Serves the site and accepts POST /api/contact, logging each
+// message. config.json is served with a "post" transport to the
+// mock endpoint prepended, so the live config needs no edits.
+//
+//   node tools/mock-contact-server.js [--port 8787] [--fail] [--delay 800]
+//
+// --fail answers every POST with 500 (exercises the error/retry
+// state); --delay holds each response for that many ms.
+// ============================================================
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+
+const ROOT = path.resolve(__dirname, '..');
+const ENDPOINT = '/api/contact';
+
+const MIME_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.js':   'text/javascript; charset=utf-8',
+    '.css':  'text/css; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.svg':  'image/svg+xml',
+    '.png':  'image/png',
+    '.jpg':  'image/jpeg',
+    '.ttf':  'font/ttf',
+    '.otf':  'font/otf',
+    '.woff': 'font/woff',
+    '.woff2': 'font/woff2'
+};
+
+function readArgs(argv) {
+    const args = { port: 8787, fail: false, delay: 0 };
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i] === '--port') args.port = Number(argv[++i]);
+        else if (argv[i] === '--delay') args.delay = Number(argv[++i]);
+        else if (argv[i] === '--fail') args.fail = true;
+    }
+    return args;
+}
+
+function send(res, status, body, type = 'application/json; charset=utf-8') {
+    res.writeHead(status, { 'Content-Type': type, 'Cache-Control': 'no-store' });
+    res.end(body);
+}
+
+function serveConfig(res) {
+    const config = JSON.parse(fs.readFileSync(path.join(ROOT, 'config.json'), 'utf8'));
+    const transports = (config.contact?.transports || []).filter(t => t.type !== 'post');
+    config.contact = { ...config.contact, transports: [{ type: 'post', endpoint: ENDPOINT }, ...transports] };
+    send(res, 200, JSON.stringify(config, null, 2));
+}
+
+function serveStatic(pathname, res) {
+    const file = path.join(ROOT, decodeURIComponent(pathname === '/' ? '/index.html' : pathname));
+    if (!file.startsWith(ROOT + path.sep) || !fs.existsSync(file) || !fs.statSync(file).isFile()) {
+        send(res, 404, 'Not found', 'text/plain');
+        return;
+    }
+    send(res, 200, fs.readFileSync(file), MIME_TYPES[path.extname(file).toLowerCase()] || 'application/octet-stream');
+}
+
+function handleContact(req, res, args) {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+        setTimeout(() => {
+            let message;
+            try {
+                message = JSON.parse(body);
+            } catch (err) {
+                send(res, 400, JSON.stringify({ ok: false, error: 'invalid JSON' }));
+                return;
+            }
+            console.log(`[Mock] ${new Date().toISOString()} message from ${message.name || '?'} <${message.email || '?'}>`);
+            console.log(JSON.stringify(message, null, 2));
+            if (args.fail) {
+                send(res, 500, JSON.stringify({ ok: false, error: 'mock failure (--fail)' }));
+                return;
+            }
+            send(res, 200, JSON.stringify({ ok: true }));
+        }, args.delay);
+    });
+}
+
+function main() {
+    const args = readArgs(process.argv.slice(2));
+    const server = http.createServer((req, res) => {
+        const { pathname } = new URL(req.url, 'http://localhost');
+        if (pathname === ENDPOINT && req.method === 'POST') handleContact(req, res, args);
+        else if (pathname === ENDPOINT) send(res, 405, JSON.stringify({ ok: false, error: 'POST only' }));
+        else if (pathname === '/config.json') serveConfig(res);
+        else serveStatic(pathname, res);
+    });
+    server.listen(args.port, () => {
+        console.log(`[Mock] http://localhost:${args.port}/ — contact messages go to ${ENDPOINT}`
+            + (args.fail ? ' (failing)' : ''));
+    });
+}
+
+main();
@@ -0,0 +1,126 @@
+// ============================================================
+// PRERENDER.JS — Bake config.json into index.html
+// Runs the site's own renderers (panels.js and the modules it
+// uses) against config.json and writes their markup into the
+// section panels, nav and footer links, plus JSON-LD and meta
+// tags in <head>. script.js then hydrates that markup instead of
+// rebuilding it, as long as config.json hasn't changed since.
+// Re-run after editing config.json; it replaces its own output.
+// --lang bakes another locale (visitors in other languages get
+// the panels rebuilt client-side). The JSON-LD ids and og:url are
+// built from config.json site.url; --url overrides it (a staging
+// address, say).
+//
+//   node tools/prerender.js [--lang es] [--out file] [--url https://staging.zacstern.com/]
+// ============================================================
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { readConfig } = require('./config-io.js');
+const { LOCALES } = require('../schema.js');
+
+const ROOT = path.resolve(__dirname, '..');
+const INDEX_PATH = path.join(ROOT, 'index.html');
+const MANIFEST_PATH = path.join(ROOT, 'thumbs', 'social-manifest.json');
+const LOCALES_DIR = path.join(ROOT, 'locales');
+
+// Browser modules the renderers need, in index.html order
+const SCRIPTS = ['schema.js', 'html.js', 'i18n.js', 'stats.js', 'thumbs.js', 'cards.js', 'resume.js', 'structured-data.js', 'panels.js'];
+
+function option(args, name, fallback) {
+    const i = args.indexOf(name);
+    return i >= 0 && args[i + 1] ? args[i + 1] : fallback;
+}
+
+// The scripts are classic browser scripts sharing globals, so they run in one
+// context; `location` is the published page URL used for absolute links
+function loadRenderers(pageUrl, locale) {
+    const context = vm.createContext({ console, URL, URLSearchParams, location: new URL(pageUrl) });
+    SCRIPTS.forEach(file => {
+        vm.runInContext(fs.readFileSync(path.join(ROOT, file), 'utf8'), context, { filename: file });
+    });
+    if (fs.existsSync(MANIFEST_PATH)) {
+        context.manifest = JSON.parse(fs.readFileSync(MANIFEST_PATH, 'utf8'));
+        vm.runInContext('socialManifest = { instagram: {}, tiktok: {}, ...manifest }', context);
+    }
+    const catalogue = code => JSON.parse(fs.readFileSync(path.join(LOCALES_DIR, `${code}.json`), 'utf8'));
+    context.setLocale(locale, { en: catalogue('en'), [locale]: catalogue(locale) });
+    return context;
+}
+
+function escapeAttr(value) {
+    return String(value).replace(/&/g, '&amp;').replace(/"/g, '&quot;').replace(/</g, '&lt;');
+}
+
+function replaceOnce(page, pattern, replacement, what) {
+    if (!pattern.test(page)) throw new Error(`index.html has no ${what}`);
+    return page.replace(pattern, replacement);
+}
+
+function headTags(r, config, pageUrl) {
+    const site = config.site || {};
+    const meta = [
+        ['name', 'description', site.description],
+        ['property', 'og:type', 'profile'],
+        ['property', 'og:title', site.title],
+        ['property', 'og:description', site.description],
+        ['property', 'og:url', pageUrl]
+    ].filter(([, , content]) => content)
+        .map(([attr, key, content]) => `    <meta ${attr}="${key}" content="${escapeAttr(content)}" data-prerender>`);
+    return [
+        ...meta,
+        `    <script type="application/ld+json" id="${vm.runInContext('STRUCTURED_DATA_ID', r)}">${r.structuredDataJson(config)}</script>`
+    ].join('\n');
+}
+
+function main() {
+    const args = process.argv.slice(2);
+    const out = path.resolve(option(args, '--out', INDEX_PATH));
+    const locale = option(args, '--lang', 'en');
+    if (!LOCALES.includes(locale)) throw new Error(`--lang must be one of ${LOCALES.join(', ')}`);
+
+    const rawConfig = readConfig();
+    const pageUrl = option(args, '--url', rawConfig.site?.url);
+    if (!pageUrl) throw new Error('No page URL: pass --url https://example.com/ or set site.url in config.json');
+    const r = loadRenderers(pageUrl, locale);
+    const errors = [...r.validateConfig(rawConfig), ...r.checkSectionSources(rawConfig)];
+    if (errors.length) {
+        errors.forEach(e => console.error(`[Prerender] config.json ${e.path}: ${e.message}`));
+        process.exitCode = 1;
+        return;
+    }
+
+    const config = r.localizeConfig(rawConfig, locale);
+    const sections = r.getSections(config);
+    const panels = String(r.sectionPanelsMarkup(sections, config));
+    const nav = r.navigationMarkup(sections);
+    // VideoObjects (rich video results) are what the JSON-LD is for; they need an uploadDate
+    const videos = r.buildStructuredData(config)['@graph'].filter(node => node['@type'] === 'VideoObject').length;
+    if (!videos) throw new Error('The JSON-LD has no VideoObject: give the reels and UGC videos in config.json an uploadDate');
+
+    let page = fs.readFileSync(INDEX_PATH, 'utf8');
+    page = replaceOnce(page, /<html lang="[^"]*">/, `<html lang="${locale}">`, '<html lang>');
+    // Earlier output is matched up to its end marker, so re-running replaces it
+    page = replaceOnce(page,
+        /<div id="sectionPanels"[^>]*>(?:[\s\S]*?<!-- \/sectionPanels -->)?<\/div>/,
+        () => `<div id="sectionPanels" data-prerendered="${r.configFingerprint(config)}" data-locale="${locale}">${panels}\n        <!-- /sectionPanels --></div>`,
+        '<div id="sectionPanels">');
+    page = replaceOnce(page, /(<ul class="nav-menu">)[\s\S]*?(<\/ul>)/, (_, open, close) => open + nav.menu + close, '<ul class="nav-menu">');
+    page = replaceOnce(page, /(<div class="footer-links">)[\s\S]*?(<\/div>)/, (_, open, close) => open + nav.footer + close, '<div class="footer-links">');
+    page = page
+        .replace(/\n\s*<meta [^>]*data-prerender>/g, '')
+        .replace(/\n\s*<script type="application\/ld\+json" id="[^"]*">[\s\S]*?<\/script>/g, '');
+    page = replaceOnce(page, /\n<\/head>/, () => `\n${headTags(r, config, pageUrl)}\n</head>`, '</head>');
+
+    fs.writeFileSync(out, page);
+    const cards = (panels.match(/class="(?:video-card|featured-card)\b/g) || []).length;
+    console.log(`[Prerender] Wrote ${path.relative(ROOT, out) || out} (${locale}): ${sections.length} sections, ${cards} cards, ${videos} videos, ${Math.round(page.length / 1024)} KB`);
+}
+
+try {
+    main();
+} catch (err) {
+    console.error('[Prerender]', err.message);
+    process.exit(1);
+}
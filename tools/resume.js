@@ -0,0 +1,61 @@
+// ============================================================
+// RESUME.JS (tool) — JSON Resume ⇄ config.json
+// Keeps one resume.json (JSON Resume standard) in sync with the
+// site's "resume" section, in either direction.
+//
+//   node tools/resume.js export [file]   config.json → JSON Resume (stdout if no file; English text)
+//   node tools/resume.js import <file>   JSON Resume → config.json "resume" (translations kept)
+//   node tools/resume.js check           export + import in memory; fails unless "resume" comes back unchanged
+// ============================================================
+
+const fs = require('fs');
+const { readConfig, serializeConfig, writeConfig } = require('./config-io.js');
+const { toJsonResume, fromJsonResume } = require('../resume.js');
+const { localizeConfig } = require('../schema.js');
+
+const USAGE = 'Usage: node tools/resume.js export [file] | import <file> | check';
+
+function main() {
+    const [command, file] = process.argv.slice(2);
+    const config = readConfig();
+
+    if (command === 'export') {
+        const json = JSON.stringify(toJsonResume(localizeConfig(config, 'en')), null, 2) + '\n';
+        if (!file) {
+            process.stdout.write(json);
+            return;
+        }
+        fs.writeFileSync(file, json);
+        console.log(`[Resume] Wrote ${config.resume?.experience?.length || 0} positions to ${file}`);
+        return;
+    }
+
+    if (command === 'import' && file) {
+        const json = JSON.parse(fs.readFileSync(file, 'utf8'));
+        config.resume = fromJsonResume(json, config.resume);
+        const unread = config.resume.experience.filter(exp => !exp.period || !exp.role || !exp.show);
+        unread.forEach(exp => console.warn(`[Resume] "${exp.role || exp.show || '?'}" is missing a position, company or dates`));
+        writeConfig(config);
+        console.log(`[Resume] Imported ${config.resume.experience.length} positions from ${file}`);
+        return;
+    }
+
+    if (command === 'check') {
+        const before = serializeConfig(config.resume).split('\n');
+        const after = serializeConfig(fromJsonResume(toJsonResume(localizeConfig(config, 'en')), config.resume)).split('\n');
+        const changed = after.findIndex((line, i) => line !== before[i]);
+        if (changed < 0 && after.length === before.length) {
+            console.log(`[Resume] Round trip is lossless (${config.resume?.experience?.length || 0} positions)`);
+            return;
+        }
+        const at = changed < 0 ? Math.min(before.length, after.length) : changed;
+        console.error(`[Resume] Round trip changes "resume" at line ${at + 1}:\n  - ${before[at] ?? ''}\n  + ${after[at] ?? ''}`);
+        process.exitCode = 1;
+        return;
+    }
+
+    console.error(USAGE);
+    process.exitCode = 1;
+}
+
+main();